@@ -1,8 +1,37 @@
 const express = require('express');
 const axios = require('axios');
 const db = require('../db');
-const { refreshApiKeys, queryBalance, checkAndUpdateAvailability } = require('../utils/apiManager');
+const {
+  refreshApiKeys,
+  queryBalance,
+  checkAndUpdateAvailability,
+  getSelectionStrategy,
+  setSelectionStrategy,
+  getSelectionStrategies,
+  loadRoutingRules,
+  resolveKeyRoute
+} = require('../utils/apiManager');
 const { createProxyAgent } = require('../utils/proxyManager');
+const { refreshModels, getModelCacheStatus } = require('../utils/modelManager');
+const keyUsageTracker = require('../utils/keyUsageTracker');
+const balanceScheduler = require('../utils/balanceScheduler');
+const { getBalanceForecast } = require('../utils/balanceForecast');
+const keyTransfer = require('../utils/keyTransfer');
+const {
+  DEFAULT_PROVIDER_ID,
+  AUTH_STYLES,
+  BALANCE_ADAPTERS,
+  loadProviders,
+  getProviders,
+  getProviderById,
+  getProviderForKey,
+  buildProviderUrl,
+  buildAuthHeaders
+} = require('../utils/providerManager');
+const clientKeyManager = require('../utils/clientKeyManager');
+const adminAuthManager = require('../utils/adminAuthManager');
+const { getClientIp } = require('../utils/clientIp');
+const authLockoutManager = require('../utils/authLockoutManager');
 
 const router = express.Router();
 
@@ -30,49 +59,508 @@ function safeParseJson(value) {
   }
 }
 
-// 管理员密码验证中间件
-const adminAuth = (req, res, next) => {
-  const adminPassword = process.env.ADMIN_PASSWORD;
-  if (!adminPassword) {
-    // 如果没有设置密码，直接通过
-    return next();
+// 校验分组名称：空值表示不分组
+function normalizeGroupName(value) {
+  if (value === undefined || value === null) return { value: null };
+  if (typeof value !== 'string') return { error: '分组名称必须是字符串' };
+  const trimmed = value.trim();
+  if (!trimmed) return { value: null };
+  if (trimmed.length > 50) return { error: '分组名称不能超过50个字符' };
+  return { value: trimmed };
+}
+
+// 校验供应商ID：空值表示默认供应商，返回 { value } 或 { error }
+async function parseProviderId(value) {
+  if (value === undefined || value === null || value === '') return { value: null };
+  const id = Number(value);
+  if (!Number.isInteger(id)) return { error: '供应商ID必须是整数' };
+  const provider = await getProviderById(id);
+  if (!provider) return { error: `供应商不存在: ${value}` };
+  return { value: id };
+}
+
+// 校验供应商参数
+function parseProvider(body) {
+  const { name, base_url, auth_style, balance_adapter, test_model, enabled } = body || {};
+  if (!name || typeof name !== 'string' || !name.trim()) {
+    return { error: '供应商名称不能为空' };
   }
-  
+  if (name.trim().length > 50) {
+    return { error: '供应商名称不能超过50个字符' };
+  }
+  if (!base_url || typeof base_url !== 'string' || !/^https?:\/\/[^\s]+$/i.test(base_url.trim())) {
+    return { error: '基础URL必须以 http:// 或 https:// 开头' };
+  }
+  const authStyle = auth_style || 'bearer';
+  if (!AUTH_STYLES[authStyle]) {
+    return { error: `不支持的认证方式: ${authStyle}` };
+  }
+  const balanceAdapter = balance_adapter || 'none';
+  if (!BALANCE_ADAPTERS[balanceAdapter]) {
+    return { error: `不支持的余额查询方式: ${balanceAdapter}` };
+  }
+  if (test_model !== undefined && test_model !== null && typeof test_model !== 'string') {
+    return { error: '测试模型必须是字符串' };
+  }
+  const testModel = test_model ? test_model.trim() : '';
+  if (testModel.length > 200) {
+    return { error: '测试模型不能超过200个字符' };
+  }
+  return {
+    value: {
+      name: name.trim(),
+      base_url: base_url.trim().replace(/\/+$/, ''),
+      auth_style: authStyle,
+      balance_adapter: balanceAdapter,
+      test_model: testModel || null,
+      enabled: enabled === undefined ? true : !!enabled
+    }
+  };
+}
+
+// 校验客户端密钥配置：允许的模型可以是数组或逗号/换行分隔的字符串，配额和过期时间为空表示不限制
+function parseClientKey(body) {
+  const { name, allowed_models, request_quota, token_quota, expires_at, enabled } = body || {};
+  if (!name || typeof name !== 'string' || !name.trim()) {
+    return { error: '客户端密钥名称不能为空' };
+  }
+  if (name.trim().length > 50) {
+    return { error: '客户端密钥名称不能超过50个字符' };
+  }
+
+  let models = [];
+  if (Array.isArray(allowed_models)) {
+    models = allowed_models;
+  } else if (typeof allowed_models === 'string') {
+    models = allowed_models.split(/[,\n]/);
+  } else if (allowed_models !== undefined && allowed_models !== null) {
+    return { error: '允许的模型必须是数组或字符串' };
+  }
+  if (models.some(model => typeof model !== 'string' || model.trim().length > 200)) {
+    return { error: '允许的模型格式错误（每项不超过200个字符）' };
+  }
+  models = [...new Set(models.map(model => model.trim()).filter(Boolean))];
+
+  const quotas = {};
+  for (const [field, label, raw] of [['request_quota', '请求次数配额', request_quota], ['token_quota', 'token配额', token_quota]]) {
+    const quota = raw === undefined || raw === null || raw === '' ? null : Number(raw);
+    if (quota !== null && (!Number.isInteger(quota) || quota < 0)) {
+      return { error: `${label}必须是非负整数` };
+    }
+    quotas[field] = quota;
+  }
+
+  let expiresAt = null;
+  if (expires_at !== undefined && expires_at !== null && expires_at !== '') {
+    const time = Date.parse(expires_at);
+    if (Number.isNaN(time)) {
+      return { error: '过期时间格式错误' };
+    }
+    expiresAt = clientKeyManager.toDbTime(time);
+  }
+
+  return {
+    value: {
+      name: name.trim(),
+      allowed_models: models.length > 0 ? JSON.stringify(models) : null,
+      ...quotas,
+      expires_at: expiresAt,
+      enabled: enabled === undefined ? true : !!enabled
+    }
+  };
+}
+
+// 客户端密钥返回给前端时把允许的模型还原为数组
+function formatClientKey(row) {
+  return { ...row, allowed_models: clientKeyManager.getAllowedModels(row) || [] };
+}
+
+// 校验API key元数据：只返回请求中出现的字段，空字符串表示清空
+const KEY_METADATA_LIMITS = { name: 100, owner: 100, notes: 1000 };
+const KEY_METADATA_LABELS = { name: '名称', owner: '归属人', notes: '备注' };
+
+function parseKeyMetadata(body) {
+  const value = {};
+  for (const field of Object.keys(KEY_METADATA_LIMITS)) {
+    const raw = body ? body[field] : undefined;
+    if (raw === undefined) continue;
+    if (raw !== null && typeof raw !== 'string') {
+      return { error: `${KEY_METADATA_LABELS[field]}必须是字符串` };
+    }
+    const trimmed = raw ? raw.trim() : '';
+    if (trimmed.length > KEY_METADATA_LIMITS[field]) {
+      return { error: `${KEY_METADATA_LABELS[field]}不能超过${KEY_METADATA_LIMITS[field]}个字符` };
+    }
+    value[field] = trimmed || null;
+  }
+  if (body && body.priority !== undefined) {
+    const priority = body.priority === null || body.priority === '' ? 0 : Number(body.priority);
+    if (!Number.isInteger(priority)) {
+      return { error: '优先级必须是整数' };
+    }
+    value.priority = priority;
+  }
+  // 并发上限：空值表示使用全局默认值（KEY_MAX_CONCURRENCY），0表示不限制
+  if (body && body.max_concurrency !== undefined) {
+    const maxConcurrency = body.max_concurrency === null || body.max_concurrency === '' ? null : Number(body.max_concurrency);
+    if (maxConcurrency !== null && (!Number.isInteger(maxConcurrency) || maxConcurrency < 0)) {
+      return { error: '并发上限必须是非负整数' };
+    }
+    value.max_concurrency = maxConcurrency;
+  }
+  return { value };
+}
+
+function maskApiKey(apiKey) {
+  if (typeof apiKey !== 'string' || !apiKey) return '';
+  return `${apiKey.substring(0, 8)}...${apiKey.substring(apiKey.length - 4)}`;
+}
+
+// 时间统一转换为SQLite的UTC格式（YYYY-MM-DD HH:MM:SS）
+function normalizeDbTime(value) {
+  if (/^\d{4}-\d{2}-\d{2} \d{2}:\d{2}:\d{2}$/.test(value)) return value;
+  const time = Date.parse(value);
+  if (isNaN(time)) return null;
+  return new Date(time).toISOString().replace('T', ' ').substring(0, 19);
+}
+
+function parseBooleanValue(value) {
+  if (typeof value === 'boolean') return value;
+  const text = String(value).trim().toLowerCase();
+  if (['true', '1', 'yes'].includes(text)) return true;
+  if (['false', '0', 'no'].includes(text)) return false;
+  return null;
+}
+
+// 校验一条导入记录，返回 { value: { apiKey, fields } } 或 { error }
+// 空值字段视为未提供，合并时不会覆盖已有数据
+// providersByName: 供应商名称 -> ID，导入文件中的供应商按名称匹配
+function parseImportRecord(record, providersByName) {
+  if (!record || typeof record !== 'object') {
+    return { error: '记录格式错误' };
+  }
+  const apiKey = typeof record.api_key === 'string' ? record.api_key.trim() : '';
+  if (!apiKey || /\s/.test(apiKey) || apiKey.length > 200) {
+    return { error: 'api_key为空或格式错误' };
+  }
+
+  const provided = {};
+  for (const [field, value] of Object.entries(record)) {
+    if (value !== null && value !== undefined && value !== '') {
+      provided[field] = value;
+    }
+  }
+
+  const metadata = parseKeyMetadata(provided);
+  if (metadata.error) return { error: metadata.error };
+  const fields = { ...metadata.value };
+
+  if (provided.group_name !== undefined) {
+    const groupResult = normalizeGroupName(provided.group_name);
+    if (groupResult.error) return { error: groupResult.error };
+    fields.group_name = groupResult.value;
+  }
+  if (provided.provider !== undefined) {
+    const providerId = providersByName.get(String(provided.provider).trim());
+    if (!providerId) return { error: `供应商不存在: ${provided.provider}` };
+    fields.provider_id = providerId;
+  }
+  if (provided.status !== undefined) {
+    if (!['active', 'insufficient', 'error'].includes(provided.status)) {
+      return { error: `不支持的状态: ${provided.status}` };
+    }
+    fields.status = provided.status;
+  }
+  if (provided.is_available !== undefined) {
+    const isAvailable = parseBooleanValue(provided.is_available);
+    if (isAvailable === null) return { error: 'is_available必须是布尔值' };
+    fields.is_available = isAvailable ? 1 : 0;
+  }
+  if (provided.balance !== undefined) {
+    const balance = Number(provided.balance);
+    if (!Number.isFinite(balance)) return { error: '余额必须是数字' };
+    fields.balance = balance;
+  }
+  for (const field of ['call_count', 'error_count']) {
+    if (provided[field] === undefined) continue;
+    const count = Number(provided[field]);
+    if (!Number.isInteger(count) || count < 0) return { error: `${field}必须是非负整数` };
+    fields[field] = count;
+  }
+  if (provided.last_error !== undefined) {
+    fields.last_error = String(provided.last_error).substring(0, 1000);
+  }
+  for (const field of ['balance_checked_at', 'created_at', 'last_used_at']) {
+    if (provided[field] === undefined) continue;
+    const time = normalizeDbTime(String(provided[field]));
+    if (!time) return { error: `${field}不是有效的时间` };
+    fields[field] = time;
+  }
+
+  return { value: { apiKey, fields } };
+}
+
+// 合并导入数据：导入中提供的字段覆盖已有值，调用次数和错误次数取较大值，创建时间保持不变
+function buildMergeChanges(existing, fields) {
+  const changes = {};
+  for (const [field, value] of Object.entries(fields)) {
+    if (field === 'created_at') continue;
+    let nextValue = value;
+    if (field === 'call_count' || field === 'error_count') {
+      nextValue = Math.max(existing[field] || 0, value);
+    }
+    if (existing[field] !== nextValue) {
+      changes[field] = nextValue;
+    }
+  }
+  return changes;
+}
+
+// 校验路由规则参数：分组和供应商至少指定一个
+function parseRoutingRule(body) {
+  const { model_pattern, group_name, provider_id, priority, enabled } = body || {};
+  if (!model_pattern || typeof model_pattern !== 'string' || !model_pattern.trim()) {
+    return { error: '模型匹配规则不能为空' };
+  }
+  if (model_pattern.trim().length > 200) {
+    return { error: '模型匹配规则不能超过200个字符' };
+  }
+  const groupResult = normalizeGroupName(group_name);
+  if (groupResult.error) return { error: groupResult.error };
+  const providerId = provider_id === undefined || provider_id === null || provider_id === '' ? null : Number(provider_id);
+  if (providerId !== null && !Number.isInteger(providerId)) return { error: '供应商ID必须是整数' };
+  if (!groupResult.value && providerId === null) return { error: '分组和供应商至少需要指定一个' };
+  const parsedPriority = priority === undefined || priority === null || priority === '' ? 0 : parseInt(priority, 10);
+  if (isNaN(parsedPriority)) return { error: '优先级必须是整数' };
+  return {
+    value: {
+      modelPattern: model_pattern.trim(),
+      // 只按供应商路由的规则分组名称保存为空字符串
+      groupName: groupResult.value || '',
+      providerId,
+      priority: parsedPriority,
+      enabled: enabled === undefined ? true : !!enabled
+    }
+  };
+}
+
+function getBearerToken(req) {
   const authHeader = req.headers.authorization;
   if (!authHeader || !authHeader.startsWith('Bearer ')) {
-    return res.status(401).json({ success: false, message: '需要管理员密码' });
+    return null;
   }
-  
-  const token = authHeader.substring(7);
-  if (token !== adminPassword) {
-    return res.status(401).json({ success: false, message: '管理员密码错误' });
+  return authHeader.substring(7);
+}
+
+function sendAdminLockedError(res, lockoutSeconds) {
+  res.set('Retry-After', String(lockoutSeconds));
+  return res.status(429).json({
+    success: false,
+    message: `登录失败次数过多，请在 ${lockoutSeconds} 秒后重试`,
+    data: { retry_after: lockoutSeconds }
+  });
+}
+
+// 管理员会话验证中间件：请求头中携带登录时获得的会话token，会话记录挂在 req.adminSession 上
+// 会话token无法被猜出，不计入登录失败次数：过期会话在前端轮询时会连续返回401，计入会让管理员锁住自己的IP
+const adminAuth = async (req, res, next) => {
+  try {
+    if (!(await adminAuthManager.isPasswordRequired())) {
+      // 如果没有设置密码，直接通过
+      return next();
+    }
+
+    const token = getBearerToken(req);
+    if (!token) {
+      return res.status(401).json({ success: false, message: '需要登录' });
+    }
+
+    const session = await adminAuthManager.validateSession(token);
+    if (!session) {
+      return res.status(401).json({ success: false, message: '登录已过期或已退出，请重新登录' });
+    }
+    req.adminSession = session;
+  } catch (error) {
+    console.error('验证管理员会话失败:', error);
+    return res.status(500).json({ success: false, message: '验证登录状态失败' });
   }
   
   next();
 };
 
 // 检查是否需要密码
-router.get('/check-auth', (req, res) => {
-  const adminPassword = process.env.ADMIN_PASSWORD;
-  res.json({ 
-    success: true, 
-    requiresPassword: !!adminPassword 
-  });
+router.get('/check-auth', async (req, res) => {
+  try {
+    res.json({ 
+      success: true, 
+      requiresPassword: await adminAuthManager.isPasswordRequired()
+    });
+  } catch (error) {
+    console.error('检查认证状态失败:', error);
+    res.status(500).json({ success: false, message: '检查认证状态失败' });
+  }
 });
 
-// 验证密码
-router.post('/verify-password', (req, res) => {
-  const adminPassword = process.env.ADMIN_PASSWORD;
-  const { password } = req.body;
+// 登录：验证管理员密码，返回有过期时间的会话token
+// /verify-password 为旧版前端使用的路径，行为与 /login 相同
+router.post(['/login', '/verify-password'], async (req, res) => {
+  const { password } = req.body || {};
   
-  if (!adminPassword) {
-    return res.json({ success: true, message: '未设置密码' });
+  try {
+    if (!(await adminAuthManager.isPasswordRequired())) {
+      return res.json({ success: true, message: '未设置密码', data: { token: null, expires_at: null } });
+    }
+    // 被锁定的IP在锁定期间不校验密码
+    const clientIp = getClientIp(req);
+    const lockoutSeconds = authLockoutManager.getLockoutSeconds('admin', clientIp);
+    if (lockoutSeconds > 0) {
+      return sendAdminLockedError(res, lockoutSeconds);
+    }
+    if (!(await adminAuthManager.verifyPassword(password))) {
+      const newLockoutSeconds = authLockoutManager.recordFailure('admin', clientIp);
+      if (newLockoutSeconds > 0) {
+        return sendAdminLockedError(res, newLockoutSeconds);
+      }
+      return res.status(401).json({ success: false, message: '密码错误' });
+    }
+    authLockoutManager.recordSuccess('admin', clientIp);
+    const session = await adminAuthManager.createSession({
+      clientIp,
+      userAgent: req.headers['user-agent']
+    });
+    res.json({ success: true, message: '登录成功', data: { token: session.token, expires_at: session.expires_at } });
+  } catch (error) {
+    console.error('管理员登录失败:', error);
+    res.status(500).json({ success: false, message: '登录失败' });
   }
-  
-  if (password === adminPassword) {
-    return res.json({ success: true, message: '密码正确' });
-  } else {
-    return res.status(401).json({ success: false, message: '密码错误' });
+});
+
+// 退出登录：撤销当前会话
+router.post('/logout', adminAuth, async (req, res) => {
+  try {
+    if (req.adminSession) {
+      await db.deleteAdminSession(req.adminSession.id);
+    }
+    res.json({ success: true, message: '已退出登录' });
+  } catch (error) {
+    console.error('退出登录失败:', error);
+    res.status(500).json({ success: false, message: '退出登录失败' });
+  }
+});
+
+// 查看所有未过期的登录会话
+router.get('/sessions', adminAuth, async (req, res) => {
+  try {
+    const sessions = await db.getAdminSessions();
+    const currentId = req.adminSession ? req.adminSession.id : null;
+    res.json({
+      success: true,
+      data: sessions.map(session => ({ ...session, current: session.id === currentId }))
+    });
+  } catch (error) {
+    console.error('获取登录会话失败:', error);
+    res.status(500).json({ success: false, message: '获取登录会话失败' });
+  }
+});
+
+// 撤销指定会话
+router.delete('/sessions/:id', adminAuth, async (req, res) => {
+  try {
+    const result = await db.deleteAdminSession(parseInt(req.params.id, 10));
+    if (!result.deleted) {
+      return res.status(404).json({ success: false, message: '会话不存在' });
+    }
+    res.json({ success: true, message: '会话已撤销' });
+  } catch (error) {
+    console.error('撤销会话失败:', error);
+    res.status(500).json({ success: false, message: '撤销会话失败' });
+  }
+});
+
+// 撤销除当前会话以外的所有会话
+router.delete('/sessions', adminAuth, async (req, res) => {
+  try {
+    const result = await db.deleteAdminSessions(req.adminSession ? req.adminSession.id : null);
+    res.json({ success: true, message: `已撤销 ${result.deleted} 个会话` });
+  } catch (error) {
+    console.error('撤销会话失败:', error);
+    res.status(500).json({ success: false, message: '撤销会话失败' });
+  }
+});
+
+// 查看认证失败记录和被锁定的IP
+router.get('/auth-lockouts', adminAuth, async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: {
+        config: authLockoutManager.getConfig(),
+        scopes: authLockoutManager.SCOPES,
+        lockouts: await authLockoutManager.getLockouts()
+      }
+    });
+  } catch (error) {
+    console.error('获取IP锁定记录失败:', error);
+    res.status(500).json({ success: false, message: '获取IP锁定记录失败' });
+  }
+});
+
+// 解除指定IP的锁定并清除其失败记录
+router.delete('/auth-lockouts/:id', adminAuth, async (req, res) => {
+  try {
+    if (!(await authLockoutManager.clearLockout(parseInt(req.params.id, 10)))) {
+      return res.status(404).json({ success: false, message: '锁定记录不存在' });
+    }
+    res.json({ success: true, message: '已解除锁定' });
+  } catch (error) {
+    console.error('解除IP锁定失败:', error);
+    res.status(500).json({ success: false, message: '解除IP锁定失败' });
+  }
+});
+
+// 清除所有失败记录和锁定
+router.delete('/auth-lockouts', adminAuth, async (req, res) => {
+  try {
+    const deleted = await authLockoutManager.clearAllLockouts();
+    res.json({ success: true, message: `已清除 ${deleted} 条记录` });
+  } catch (error) {
+    console.error('清除IP锁定记录失败:', error);
+    res.status(500).json({ success: false, message: '清除IP锁定记录失败' });
+  }
+});
+
+// 修改管理员密码（已设置密码时需要提供当前密码），修改后其他会话全部失效
+router.put('/admin-password', adminAuth, async (req, res) => {
+  try {
+    const { current_password, new_password } = req.body || {};
+    if (await adminAuthManager.isPasswordRequired() && !(await adminAuthManager.verifyPassword(current_password))) {
+      return res.status(400).json({ success: false, message: '当前密码错误' });
+    }
+    if (typeof new_password !== 'string' || new_password.length < adminAuthManager.MIN_PASSWORD_LENGTH) {
+      return res.status(400).json({ success: false, message: `新密码至少需要${adminAuthManager.MIN_PASSWORD_LENGTH}个字符` });
+    }
+    if (process.env.CLIENT_API_KEY && new_password === process.env.CLIENT_API_KEY) {
+      return res.status(400).json({ success: false, message: '管理员密码不能与客户端API密钥相同' });
+    }
+
+    await adminAuthManager.setPassword(new_password);
+    await db.deleteAdminSessions(req.adminSession ? req.adminSession.id : null);
+    // 首次设置密码时当前请求没有会话，返回新会话供前端继续使用
+    let session = null;
+    if (!req.adminSession) {
+      session = await adminAuthManager.createSession({
+        clientIp: getClientIp(req),
+        userAgent: req.headers['user-agent']
+      });
+    }
+    res.json({
+      success: true,
+      message: '管理员密码已修改，其他登录会话已失效',
+      data: session ? { token: session.token, expires_at: session.expires_at } : null
+    });
+  } catch (error) {
+    console.error('修改管理员密码失败:', error);
+    res.status(500).json({ success: false, message: '修改管理员密码失败' });
   }
 });
 
@@ -80,7 +568,18 @@ router.post('/verify-password', (req, res) => {
 router.get('/api-keys', adminAuth, async (req, res) => {
   try {
     const keys = await db.getAllApiKeys();
-    res.json({ success: true, data: keys });
+    // 附加内存中的用量统计（最近1分钟请求数/token数、限流冷却时间）
+    const usage = keyUsageTracker.getUsageSnapshot();
+    const data = keys.map(key => ({
+      ...key,
+      rpm: usage[key.id] ? usage[key.id].rpm : 0,
+      tpm: usage[key.id] ? usage[key.id].tpm : 0,
+      in_flight: keyUsageTracker.getInFlight(key.id),
+      concurrency_limit: keyUsageTracker.getConcurrencyLimit(key.max_concurrency),
+      cooldown_until: usage[key.id] ? usage[key.id].cooldown_until : null,
+      cooldown_reason: usage[key.id] ? usage[key.id].cooldown_reason : null
+    }));
+    res.json({ success: true, data });
   } catch (error) {
     console.error('获取API keys失败:', error);
     res.status(500).json({ success: false, message: '获取API keys失败' });
@@ -90,7 +589,7 @@ router.get('/api-keys', adminAuth, async (req, res) => {
 // 添加API key（单个或批量）
 router.post('/api-keys', adminAuth, async (req, res) => {
   try {
-    const { api_key, api_keys } = req.body;
+    const { api_key, api_keys, group_name, provider_id } = req.body;
     
     // 支持批量添加
     const keysToAdd = api_keys ? api_keys.split('\n').map(k => k.trim()).filter(k => k) : [api_key?.trim()].filter(k => k);
@@ -99,12 +598,21 @@ router.post('/api-keys', adminAuth, async (req, res) => {
       return res.status(400).json({ success: false, message: 'API key不能为空' });
     }
 
+    const groupResult = normalizeGroupName(group_name);
+    if (groupResult.error) {
+      return res.status(400).json({ success: false, message: groupResult.error });
+    }
+    const providerResult = await parseProviderId(provider_id);
+    if (providerResult.error) {
+      return res.status(400).json({ success: false, message: providerResult.error });
+    }
+
     const results = [];
     const errors = [];
     
     for (const key of keysToAdd) {
       try {
-        const result = await db.addApiKey(key);
+        const result = await db.addApiKey(key, groupResult.value, providerResult.value);
         results.push(result);
       } catch (error) {
         if (error.message.includes('UNIQUE constraint')) {
@@ -142,7 +650,7 @@ router.get('/api-keys/:id/balance', adminAuth, async (req, res) => {
       return res.status(404).json({ success: false, message: 'API key不存在' });
     }
 
-    const balanceInfo = await queryBalance(keyInfo.api_key);
+    const balanceInfo = await queryBalance(keyInfo.api_key, keyInfo.provider_id);
     
     // 检查是否是API密钥无效的情况
     const isInvalidKey = balanceInfo.message && balanceInfo.message.includes('无效');
@@ -162,7 +670,7 @@ router.get('/api-keys/:id/balance', adminAuth, async (req, res) => {
       
       // 如果余额<1，自动改为不可用状态
       if (balanceInfo.balance < 1) {
-        await db.updateApiKeyAvailability(id, false);
+        await db.updateApiKeyAvailability(id, false, 'balance');
         await refreshApiKeys();
       } else {
         // 余额>=1，确保可用状态正确
@@ -181,7 +689,7 @@ router.get('/api-keys/:id/balance', adminAuth, async (req, res) => {
       // 查询失败，如果返回了余额0且不是密钥无效，更新
       if (balanceInfo.balance === 0 && !isInvalidKey) {
         await db.updateApiKeyBalance(id, 0);
-        await db.updateApiKeyAvailability(id, false);
+        await db.updateApiKeyAvailability(id, false, 'balance');
         await refreshApiKeys();
       } else if (isInvalidKey) {
         // 密钥无效，不更新余额，只设置为不可用（不改变status）
@@ -263,6 +771,30 @@ router.post('/api-keys/batch-delete', adminAuth, async (req, res) => {
   }
 });
 
+// 更新API key的名称、归属人、备注和优先级
+router.put('/api-keys/:id', adminAuth, async (req, res) => {
+  try {
+    const id = parseInt(req.params.id, 10);
+    const parsed = parseKeyMetadata(req.body);
+    if (parsed.error) {
+      return res.status(400).json({ success: false, message: parsed.error });
+    }
+    if (Object.keys(parsed.value).length === 0) {
+      return res.status(400).json({ success: false, message: '没有需要更新的字段' });
+    }
+    const result = await db.updateApiKeyMetadata(id, parsed.value);
+    if (!result.updated) {
+      return res.status(404).json({ success: false, message: 'API key不存在' });
+    }
+    // 优先级影响key的使用顺序，需要重新加载
+    await refreshApiKeys();
+    res.json({ success: true, message: 'API key信息已更新', data: { id, ...parsed.value } });
+  } catch (error) {
+    console.error('更新API key信息失败:', error);
+    res.status(500).json({ success: false, message: '更新API key信息失败' });
+  }
+});
+
 // 删除API key
 router.delete('/api-keys/:id', adminAuth, async (req, res) => {
   try {
@@ -348,9 +880,27 @@ router.put('/api-keys/:id/toggle-availability', adminAuth, async (req, res) => {
   }
 });
 
-// 导出所有API keys
+// 导出所有API keys（?format=txt|json|csv，默认txt每行一个key；json/csv包含状态、余额、分组、备注等信息）
 router.get('/api-keys/export', adminAuth, async (req, res) => {
   try {
+    const format = (req.query.format || 'txt').toLowerCase();
+    if (!keyTransfer.EXPORT_FORMATS.includes(format)) {
+      return res.status(400).json({ success: false, message: `不支持的导出格式: ${format}` });
+    }
+
+    if (format === 'json' || format === 'csv') {
+      // 供应商按名称导出，便于在其他部署中匹配
+      const providerNames = new Map((await getProviders()).map(provider => [provider.id, provider.name]));
+      const keys = (await db.getAllApiKeys()).map(key => ({
+        ...key,
+        provider: providerNames.get(key.provider_id || DEFAULT_PROVIDER_ID) || null
+      }));
+      const isJson = format === 'json';
+      res.setHeader('Content-Type', isJson ? 'application/json; charset=utf-8' : 'text/csv; charset=utf-8');
+      res.setHeader('Content-Disposition', `attachment; filename="api_keys.${format}"`);
+      return res.send(isJson ? keyTransfer.serializeJson(keys) : keyTransfer.serializeCsv(keys));
+    }
+
     // 直接查询数据库获取完整的API keys（不隐藏）
     const keys = await db.getAllApiKeysForExport();
     
@@ -366,6 +916,102 @@ router.get('/api-keys/export', adminAuth, async (req, res) => {
   }
 });
 
+// 导入API keys（JSON或CSV，包含元数据）
+// body: { format: 'json'|'csv', content, dry_run, on_duplicate: 'skip'|'merge' }
+// dry_run 为 true 时只返回预览，不写入数据库
+router.post('/api-keys/import', adminAuth, async (req, res) => {
+  try {
+    const { content, dry_run: dryRun = false } = req.body || {};
+    const format = String((req.body && req.body.format) || 'json').toLowerCase();
+    const onDuplicate = (req.body && req.body.on_duplicate) || 'skip';
+
+    if (!keyTransfer.IMPORT_FORMATS.includes(format)) {
+      return res.status(400).json({ success: false, message: `不支持的导入格式: ${format}` });
+    }
+    if (!['skip', 'merge'].includes(onDuplicate)) {
+      return res.status(400).json({ success: false, message: `不支持的重复处理方式: ${onDuplicate}` });
+    }
+    if (content === undefined || content === null || content === '') {
+      return res.status(400).json({ success: false, message: '导入内容不能为空' });
+    }
+
+    let records;
+    try {
+      records = keyTransfer.parseImport(format, content);
+    } catch (error) {
+      return res.status(400).json({ success: false, message: error.message });
+    }
+
+    const summary = { dry_run: !!dryRun, on_duplicate: onDuplicate, total: records.length, created: 0, merged: 0, skipped: 0, invalid: 0, items: [] };
+    const seen = new Set();
+    const providersByName = new Map((await getProviders()).map(provider => [provider.name, provider.id]));
+
+    for (let index = 0; index < records.length; index++) {
+      const parsed = parseImportRecord(records[index], providersByName);
+      if (parsed.error) {
+        summary.invalid++;
+        summary.items.push({ index, api_key: maskApiKey(records[index] && records[index].api_key), action: 'invalid', message: parsed.error });
+        continue;
+      }
+
+      const { apiKey, fields } = parsed.value;
+      const item = { index, api_key: maskApiKey(apiKey) };
+      summary.items.push(item);
+
+      if (seen.has(apiKey)) {
+        item.action = 'skip';
+        item.message = '导入内容中重复';
+        summary.skipped++;
+        continue;
+      }
+      seen.add(apiKey);
+
+      try {
+        const existing = await db.findApiKeyByValue(apiKey);
+        if (!existing) {
+          item.action = 'create';
+          if (!dryRun) {
+            const result = await db.addImportedApiKey(apiKey, fields);
+            item.id = result.id;
+          }
+          summary.created++;
+        } else if (onDuplicate === 'skip') {
+          item.action = 'skip';
+          item.id = existing.id;
+          item.message = 'API key已存在';
+          summary.skipped++;
+        } else {
+          const changes = buildMergeChanges(existing, fields);
+          item.action = 'merge';
+          item.id = existing.id;
+          item.changes = Object.keys(changes);
+          if (!dryRun && item.changes.length > 0) {
+            await db.updateImportedApiKey(existing.id, changes);
+          }
+          summary.merged++;
+        }
+      } catch (error) {
+        item.action = 'invalid';
+        item.message = error.message;
+        summary.invalid++;
+      }
+    }
+
+    if (!dryRun && (summary.created > 0 || summary.merged > 0)) {
+      await refreshApiKeys();
+    }
+
+    res.json({
+      success: true,
+      message: `${dryRun ? '预览：' : ''}新增 ${summary.created} 个，合并 ${summary.merged} 个，跳过 ${summary.skipped} 个，无效 ${summary.invalid} 个`,
+      data: summary
+    });
+  } catch (error) {
+    console.error('导入API keys失败:', error);
+    res.status(500).json({ success: false, message: '导入失败' });
+  }
+});
+
 // 获取API key的错误日志
 router.get('/api-keys/:id/logs', adminAuth, async (req, res) => {
   try {
@@ -439,8 +1085,12 @@ router.post('/api-keys/:id/verify', adminAuth, async (req, res) => {
     let proxyInfo = null;
 
     const axios = require('axios');
-    const SILICONFLOW_BASE_URL = 'https://api.siliconflow.cn/v1';
     const { createProxyAgent } = require('../utils/proxyManager');
+    const provider = await getProviderForKey(keyInfo);
+    if (!provider) {
+      return res.status(400).json({ success: false, message: 'API key所属的供应商不存在' });
+    }
+    const upstreamUrl = buildProviderUrl(provider, '/chat/completions');
     
     // 如果指定了代理，使用代理
     if (proxyId) {
@@ -468,7 +1118,7 @@ router.post('/api-keys/:id/verify', adminAuth, async (req, res) => {
     const timeString = `${year}/${month}/${day} ${hours}:${minutes}:${seconds}`;
     
     const testRequest = {
-      model: 'deepseek-ai/DeepSeek-V3.2-Exp',
+      model: provider.test_model || 'deepseek-ai/DeepSeek-V3.2-Exp',
       messages: [
         {
           role: 'user',
@@ -485,7 +1135,7 @@ router.post('/api-keys/:id/verify', adminAuth, async (req, res) => {
 
     const axiosConfig = {
       headers: {
-        'Authorization': `Bearer ${keyInfo.api_key}`,
+        ...buildAuthHeaders(provider, keyInfo.api_key),
         'Content-Type': 'application/json'
       },
       timeout: 30000 // 30秒超时
@@ -515,7 +1165,7 @@ router.post('/api-keys/:id/verify', adminAuth, async (req, res) => {
 
     try {
       const response = await axios.post(
-        `${SILICONFLOW_BASE_URL}/chat/completions`,
+        upstreamUrl,
         testRequest,
         axiosConfig
       );
@@ -537,7 +1187,7 @@ router.post('/api-keys/:id/verify', adminAuth, async (req, res) => {
       const logData = {
         type: 'verify_test',
         success: true,
-        model: 'deepseek-ai/DeepSeek-V3.2-Exp',
+        model: testRequest.model,
         proxy: proxyInfo ? {
           id: proxyInfo.id,
           type: proxyInfo.type,
@@ -559,7 +1209,7 @@ router.post('/api-keys/:id/verify', adminAuth, async (req, res) => {
         model: testRequest.model,
         clientIp: '管理端',
         requestPath: requestPath,
-        upstreamUrl: `${SILICONFLOW_BASE_URL}/chat/completions`,
+        upstreamUrl,
         proxyInfo,
         requestId: verifyRequestId,
         fullRequestPath: fullRequestPath
@@ -587,7 +1237,7 @@ router.post('/api-keys/:id/verify', adminAuth, async (req, res) => {
         errorMessage = {
           type: 'verify_test',
           success: false,
-          model: 'deepseek-ai/DeepSeek-V3.2-Exp',
+          model: testRequest.model,
           proxy: proxyInfo ? {
             id: proxyInfo.id,
             type: proxyInfo.type,
@@ -605,7 +1255,7 @@ router.post('/api-keys/:id/verify', adminAuth, async (req, res) => {
         errorMessage = {
           type: 'verify_test',
           success: false,
-          model: 'deepseek-ai/DeepSeek-V3.2-Exp',
+          model: testRequest.model,
           proxy: proxyInfo ? {
             id: proxyInfo.id,
             type: proxyInfo.type,
@@ -621,7 +1271,7 @@ router.post('/api-keys/:id/verify', adminAuth, async (req, res) => {
         errorMessage = {
           type: 'verify_test',
           success: false,
-          model: 'deepseek-ai/DeepSeek-V3.2-Exp',
+          model: testRequest.model,
           proxy: proxyInfo ? {
             id: proxyInfo.id,
             type: proxyInfo.type,
@@ -642,7 +1292,7 @@ router.post('/api-keys/:id/verify', adminAuth, async (req, res) => {
         model: testRequest.model,
         clientIp: '管理端',
         requestPath: requestPath,
-        upstreamUrl: `${SILICONFLOW_BASE_URL}/chat/completions`,
+        upstreamUrl,
         proxyInfo,
         requestId: verifyRequestId,
         fullRequestPath: fullRequestPath
@@ -667,11 +1317,17 @@ router.get('/current-api-key', adminAuth, async (req, res) => {
   try {
     const { getCurrentApiKeyId } = require('../utils/apiManager');
     const currentKeyId = getCurrentApiKeyId();
+    // 各key进行中的请求数（key ID -> 数量，只包含大于0的key），前端轮询时用于实时显示
+    const inFlight = {};
+    for (const [keyId, usage] of Object.entries(keyUsageTracker.getUsageSnapshot())) {
+      if (usage.in_flight > 0) inFlight[keyId] = usage.in_flight;
+    }
     
     res.json({ 
       success: true, 
       data: {
-        current_api_key_id: currentKeyId
+        current_api_key_id: currentKeyId,
+        in_flight: inFlight
       }
     });
   } catch (error) {
@@ -680,6 +1336,512 @@ router.get('/current-api-key', adminAuth, async (req, res) => {
   }
 });
 
+// 设置API key所属分组
+router.put('/api-keys/:id/group', adminAuth, async (req, res) => {
+  try {
+    const id = parseInt(req.params.id, 10);
+    const groupResult = normalizeGroupName(req.body ? req.body.group_name : null);
+    if (groupResult.error) {
+      return res.status(400).json({ success: false, message: groupResult.error });
+    }
+    const result = await db.updateApiKeyGroup(id, groupResult.value);
+    if (!result.updated) {
+      return res.status(404).json({ success: false, message: 'API key不存在' });
+    }
+    await refreshApiKeys();
+    res.json({ success: true, message: groupResult.value ? `已设置分组: ${groupResult.value}` : '已移出分组', data: { id, group_name: groupResult.value } });
+  } catch (error) {
+    console.error('设置API key分组失败:', error);
+    res.status(500).json({ success: false, message: '设置API key分组失败' });
+  }
+});
+
+// 设置API key所属的上游供应商
+router.put('/api-keys/:id/provider', adminAuth, async (req, res) => {
+  try {
+    const id = parseInt(req.params.id, 10);
+    const providerResult = await parseProviderId(req.body ? req.body.provider_id : null);
+    if (providerResult.error) {
+      return res.status(400).json({ success: false, message: providerResult.error });
+    }
+    const result = await db.updateApiKeyProvider(id, providerResult.value);
+    if (!result.updated) {
+      return res.status(404).json({ success: false, message: 'API key不存在' });
+    }
+    await refreshApiKeys();
+    res.json({ success: true, message: '已更新供应商', data: { id, provider_id: providerResult.value } });
+  } catch (error) {
+    console.error('设置API key供应商失败:', error);
+    res.status(500).json({ success: false, message: '设置API key供应商失败' });
+  }
+});
+
+// 获取上游供应商（附带可选的认证方式和余额查询方式）
+router.get('/providers', adminAuth, async (req, res) => {
+  try {
+    const providers = await loadProviders();
+    res.json({
+      success: true,
+      data: providers,
+      default_provider_id: DEFAULT_PROVIDER_ID,
+      auth_styles: AUTH_STYLES,
+      balance_adapters: BALANCE_ADAPTERS
+    });
+  } catch (error) {
+    console.error('获取供应商失败:', error);
+    res.status(500).json({ success: false, message: '获取供应商失败' });
+  }
+});
+
+// 添加上游供应商
+router.post('/providers', adminAuth, async (req, res) => {
+  try {
+    const parsed = parseProvider(req.body);
+    if (parsed.error) {
+      return res.status(400).json({ success: false, message: parsed.error });
+    }
+    const result = await db.addProvider(parsed.value);
+    await loadProviders();
+    res.json({ success: true, message: '供应商已添加', data: { id: result.id, ...parsed.value } });
+  } catch (error) {
+    if (error.message.includes('UNIQUE constraint')) {
+      return res.status(400).json({ success: false, message: '供应商名称已存在' });
+    }
+    console.error('添加供应商失败:', error);
+    res.status(500).json({ success: false, message: '添加供应商失败' });
+  }
+});
+
+// 更新上游供应商
+router.put('/providers/:id', adminAuth, async (req, res) => {
+  try {
+    const id = parseInt(req.params.id, 10);
+    const parsed = parseProvider(req.body);
+    if (parsed.error) {
+      return res.status(400).json({ success: false, message: parsed.error });
+    }
+    const result = await db.updateProvider(id, parsed.value);
+    if (!result.updated) {
+      return res.status(404).json({ success: false, message: '供应商不存在' });
+    }
+    await loadProviders();
+    await refreshApiKeys();
+    res.json({ success: true, message: '供应商已更新' });
+  } catch (error) {
+    if (error.message.includes('UNIQUE constraint')) {
+      return res.status(400).json({ success: false, message: '供应商名称已存在' });
+    }
+    console.error('更新供应商失败:', error);
+    res.status(500).json({ success: false, message: '更新供应商失败' });
+  }
+});
+
+// 删除上游供应商（默认供应商和仍在使用的供应商不能删除）
+router.delete('/providers/:id', adminAuth, async (req, res) => {
+  try {
+    const id = parseInt(req.params.id, 10);
+    let result;
+    try {
+      result = await db.deleteProvider(id);
+    } catch (error) {
+      return res.status(400).json({ success: false, message: error.message });
+    }
+    if (!result.deleted) {
+      return res.status(404).json({ success: false, message: '供应商不存在' });
+    }
+    await loadProviders();
+    res.json({ success: true, message: '供应商已删除' });
+  } catch (error) {
+    console.error('删除供应商失败:', error);
+    res.status(500).json({ success: false, message: '删除供应商失败' });
+  }
+});
+
+// 获取所有客户端密钥（不返回完整token）
+router.get('/client-keys', adminAuth, async (req, res) => {
+  try {
+    const clientKeys = await db.getClientKeys();
+    res.json({ success: true, data: clientKeys.map(formatClientKey) });
+  } catch (error) {
+    console.error('获取客户端密钥失败:', error);
+    res.status(500).json({ success: false, message: '获取客户端密钥失败' });
+  }
+});
+
+// 创建客户端密钥：完整token只在这里返回一次
+router.post('/client-keys', adminAuth, async (req, res) => {
+  try {
+    const parsed = parseClientKey(req.body);
+    if (parsed.error) {
+      return res.status(400).json({ success: false, message: parsed.error });
+    }
+    const { token, token_hash, token_preview } = clientKeyManager.issueClientToken();
+    const result = await db.addClientKey({ ...parsed.value, token_hash, token_preview });
+    res.json({
+      success: true,
+      message: '客户端密钥已创建，请立即保存，之后将无法再次查看完整密钥',
+      data: { id: result.id, token, token_preview, ...formatClientKey(parsed.value) }
+    });
+  } catch (error) {
+    console.error('创建客户端密钥失败:', error);
+    res.status(500).json({ success: false, message: '创建客户端密钥失败' });
+  }
+});
+
+// 更新客户端密钥的名称、模型限制、配额、过期时间和启用状态
+router.put('/client-keys/:id', adminAuth, async (req, res) => {
+  try {
+    const id = parseInt(req.params.id, 10);
+    const parsed = parseClientKey(req.body);
+    if (parsed.error) {
+      return res.status(400).json({ success: false, message: parsed.error });
+    }
+    const result = await db.updateClientKey(id, parsed.value);
+    if (!result.updated) {
+      return res.status(404).json({ success: false, message: '客户端密钥不存在' });
+    }
+    res.json({ success: true, message: '客户端密钥已更新' });
+  } catch (error) {
+    console.error('更新客户端密钥失败:', error);
+    res.status(500).json({ success: false, message: '更新客户端密钥失败' });
+  }
+});
+
+// 重置客户端密钥的已用配额
+router.post('/client-keys/:id/reset-usage', adminAuth, async (req, res) => {
+  try {
+    const id = parseInt(req.params.id, 10);
+    const result = await db.resetClientKeyUsage(id);
+    if (!result.updated) {
+      return res.status(404).json({ success: false, message: '客户端密钥不存在' });
+    }
+    res.json({ success: true, message: '已重置客户端密钥的已用配额' });
+  } catch (error) {
+    console.error('重置客户端密钥配额失败:', error);
+    res.status(500).json({ success: false, message: '重置客户端密钥配额失败' });
+  }
+});
+
+// 按模型汇总客户端密钥的调用记录
+router.get('/client-keys/:id/usage', adminAuth, async (req, res) => {
+  try {
+    const id = parseInt(req.params.id, 10);
+    const clientKey = await db.getClientKeyById(id);
+    if (!clientKey) {
+      return res.status(404).json({ success: false, message: '客户端密钥不存在' });
+    }
+    const models = await db.getClientKeyUsageSummary(clientKey.id);
+    res.json({
+      success: true,
+      data: {
+        id: clientKey.id,
+        name: clientKey.name,
+        request_count: clientKey.request_count,
+        token_count: clientKey.token_count,
+        models
+      }
+    });
+  } catch (error) {
+    console.error('获取客户端密钥用量失败:', error);
+    res.status(500).json({ success: false, message: '获取客户端密钥用量失败' });
+  }
+});
+
+// 删除客户端密钥（立即失效）
+router.delete('/client-keys/:id', adminAuth, async (req, res) => {
+  try {
+    const id = parseInt(req.params.id, 10);
+    const result = await db.deleteClientKey(id);
+    if (!result.deleted) {
+      return res.status(404).json({ success: false, message: '客户端密钥不存在' });
+    }
+    res.json({ success: true, message: '客户端密钥已删除' });
+  } catch (error) {
+    console.error('删除客户端密钥失败:', error);
+    res.status(500).json({ success: false, message: '删除客户端密钥失败' });
+  }
+});
+
+// 获取所有key分组
+router.get('/key-groups', adminAuth, async (req, res) => {
+  try {
+    const groups = await db.getKeyGroups();
+    res.json({ success: true, data: groups });
+  } catch (error) {
+    console.error('获取key分组失败:', error);
+    res.status(500).json({ success: false, message: '获取key分组失败' });
+  }
+});
+
+// 获取路由规则
+router.get('/routing-rules', adminAuth, async (req, res) => {
+  try {
+    const rules = await db.getRoutingRules();
+    res.json({ success: true, data: rules });
+  } catch (error) {
+    console.error('获取路由规则失败:', error);
+    res.status(500).json({ success: false, message: '获取路由规则失败' });
+  }
+});
+
+// 测试模型会路由到哪个分组
+router.get('/routing-rules/resolve', adminAuth, async (req, res) => {
+  try {
+    const model = req.query.model;
+    if (!model) {
+      return res.status(400).json({ success: false, message: '缺少model参数' });
+    }
+    const route = await resolveKeyRoute(model);
+    res.json({
+      success: true,
+      data: {
+        model,
+        group_name: route.group === undefined ? null : route.group,
+        provider_id: route.providerId
+      }
+    });
+  } catch (error) {
+    console.error('解析路由规则失败:', error);
+    res.status(500).json({ success: false, message: '解析路由规则失败' });
+  }
+});
+
+// 添加路由规则
+router.post('/routing-rules', adminAuth, async (req, res) => {
+  try {
+    const parsed = parseRoutingRule(req.body);
+    if (parsed.error) {
+      return res.status(400).json({ success: false, message: parsed.error });
+    }
+    const { modelPattern, groupName, providerId, priority, enabled } = parsed.value;
+    if (providerId !== null && !(await getProviderById(providerId))) {
+      return res.status(400).json({ success: false, message: `供应商不存在: ${providerId}` });
+    }
+    const rule = await db.addRoutingRule(modelPattern, groupName, priority, enabled, providerId);
+    await loadRoutingRules();
+    res.json({ success: true, message: '路由规则已添加', data: rule });
+  } catch (error) {
+    console.error('添加路由规则失败:', error);
+    res.status(500).json({ success: false, message: '添加路由规则失败' });
+  }
+});
+
+// 更新路由规则
+router.put('/routing-rules/:id', adminAuth, async (req, res) => {
+  try {
+    const id = parseInt(req.params.id, 10);
+    const parsed = parseRoutingRule(req.body);
+    if (parsed.error) {
+      return res.status(400).json({ success: false, message: parsed.error });
+    }
+    const { modelPattern, groupName, providerId, priority, enabled } = parsed.value;
+    if (providerId !== null && !(await getProviderById(providerId))) {
+      return res.status(400).json({ success: false, message: `供应商不存在: ${providerId}` });
+    }
+    const result = await db.updateRoutingRule(id, modelPattern, groupName, priority, enabled, providerId);
+    if (!result.updated) {
+      return res.status(404).json({ success: false, message: '路由规则不存在' });
+    }
+    await loadRoutingRules();
+    res.json({ success: true, message: '路由规则已更新' });
+  } catch (error) {
+    console.error('更新路由规则失败:', error);
+    res.status(500).json({ success: false, message: '更新路由规则失败' });
+  }
+});
+
+// 删除路由规则
+router.delete('/routing-rules/:id', adminAuth, async (req, res) => {
+  try {
+    const id = parseInt(req.params.id, 10);
+    const result = await db.deleteRoutingRule(id);
+    if (!result.deleted) {
+      return res.status(404).json({ success: false, message: '路由规则不存在' });
+    }
+    await loadRoutingRules();
+    res.json({ success: true, message: '路由规则已删除' });
+  } catch (error) {
+    console.error('删除路由规则失败:', error);
+    res.status(500).json({ success: false, message: '删除路由规则失败' });
+  }
+});
+
+// 获取API key选择策略
+router.get('/key-strategy', adminAuth, async (req, res) => {
+  try {
+    const strategy = await getSelectionStrategy();
+    res.json({
+      success: true,
+      data: {
+        strategy,
+        strategies: getSelectionStrategies()
+      }
+    });
+  } catch (error) {
+    console.error('获取API key选择策略失败:', error);
+    res.status(500).json({ success: false, message: '获取API key选择策略失败' });
+  }
+});
+
+// 设置API key选择策略
+router.put('/key-strategy', adminAuth, async (req, res) => {
+  try {
+    const { strategy } = req.body || {};
+    const valid = getSelectionStrategies().some(item => item.name === strategy);
+    if (!valid) {
+      return res.status(400).json({ success: false, message: `不支持的选择策略: ${strategy}` });
+    }
+    await setSelectionStrategy(strategy);
+    res.json({ success: true, message: '选择策略已更新', data: { strategy } });
+  } catch (error) {
+    console.error('设置API key选择策略失败:', error);
+    res.status(500).json({ success: false, message: '设置API key选择策略失败' });
+  }
+});
+
+// 获取各API key的实时用量（RPM/TPM）和限流冷却状态
+router.get('/key-usage', adminAuth, (req, res) => {
+  res.json({
+    success: true,
+    data: {
+      limits: keyUsageTracker.getLimits(),
+      keys: keyUsageTracker.getUsageSnapshot()
+    }
+  });
+});
+
+// 手动解除API key的限流冷却
+router.delete('/api-keys/:id/cooldown', adminAuth, (req, res) => {
+  const id = parseInt(req.params.id, 10);
+  if (!id) {
+    return res.status(400).json({ success: false, message: '无效的API key ID' });
+  }
+  keyUsageTracker.clearCooldown(id);
+  res.json({ success: true, message: '已解除冷却' });
+});
+
+// 解析历史窗口天数参数（默认7天，最多90天）
+function parseHistoryDays(value) {
+  const days = parseInt(value || '7', 10);
+  if (isNaN(days) || days < 1) return 7;
+  return Math.min(days, 90);
+}
+
+// 获取余额消耗速度和预计耗尽时间（?days=7 指定参与计算的历史天数）
+router.get('/balance-forecast', adminAuth, async (req, res) => {
+  try {
+    const forecast = await getBalanceForecast(parseHistoryDays(req.query.days));
+    res.json({ success: true, data: forecast });
+  } catch (error) {
+    console.error('计算余额消耗预测失败:', error);
+    res.status(500).json({ success: false, message: '计算余额消耗预测失败' });
+  }
+});
+
+// 获取单个API key的余额历史
+router.get('/api-keys/:id/balance-history', adminAuth, async (req, res) => {
+  try {
+    const id = parseInt(req.params.id, 10);
+    if (isNaN(id)) {
+      return res.status(400).json({ success: false, message: '无效的ID' });
+    }
+    const history = await db.getBalanceHistory(id, parseHistoryDays(req.query.days));
+    res.json({
+      success: true,
+      data: history.map(row => ({ balance: row.balance, checked_at: row.checked_at }))
+    });
+  } catch (error) {
+    console.error('获取余额历史失败:', error);
+    res.status(500).json({ success: false, message: '获取余额历史失败' });
+  }
+});
+
+// 获取余额定时刷新状态（上次/下次运行时间及设置）
+router.get('/balance-scheduler', adminAuth, (req, res) => {
+  res.json({ success: true, data: balanceScheduler.getStatus() });
+});
+
+// 修改余额定时刷新设置（interval_minutes 为0表示禁用）
+router.put('/balance-scheduler', adminAuth, async (req, res) => {
+  try {
+    const body = req.body || {};
+    const fields = [
+      { name: 'interval_minutes', key: 'intervalMinutes', label: '刷新间隔', min: 0, max: 10080 },
+      { name: 'concurrency', key: 'concurrency', label: '并发数', min: 1, max: 10 },
+      { name: 'jitter_seconds', key: 'jitterSeconds', label: '随机抖动', min: 0, max: 3600 }
+    ];
+    const changes = {};
+    for (const field of fields) {
+      if (body[field.name] === undefined) continue;
+      const value = Number(body[field.name]);
+      if (!Number.isInteger(value) || value < field.min || value > field.max) {
+        return res.status(400).json({ success: false, message: `${field.label}必须是 ${field.min}~${field.max} 之间的整数` });
+      }
+      changes[field.key] = value;
+    }
+    if (Object.keys(changes).length === 0) {
+      return res.status(400).json({ success: false, message: '没有需要更新的设置' });
+    }
+    const status = await balanceScheduler.updateConfig(changes);
+    res.json({ success: true, message: '余额定时刷新设置已更新', data: status });
+  } catch (error) {
+    console.error('更新余额定时刷新设置失败:', error);
+    res.status(500).json({ success: false, message: '更新余额定时刷新设置失败' });
+  }
+});
+
+// 立即刷新所有API key的余额（后台执行，通过状态接口查看结果）
+router.post('/balance-scheduler/run', adminAuth, (req, res) => {
+  const alreadyRunning = balanceScheduler.getStatus().running;
+  balanceScheduler.runNow('manual');
+  res.json({
+    success: true,
+    message: alreadyRunning ? '余额刷新正在进行中' : '余额刷新已开始',
+    data: balanceScheduler.getStatus()
+  });
+});
+
+// 获取模型列表缓存状态
+router.get('/models/cache', adminAuth, (req, res) => {
+  res.json({ success: true, data: getModelCacheStatus() });
+});
+
+// 强制刷新模型列表缓存
+router.post('/models/refresh', adminAuth, async (req, res) => {
+  try {
+    const result = await refreshModels();
+    res.json({
+      success: true,
+      message: `模型列表已刷新，共 ${result.models.length} 个模型`,
+      data: {
+        count: result.models.length,
+        fetched_at: new Date(result.fetchedAt).toISOString(),
+        expires_at: new Date(result.expiresAt).toISOString()
+      }
+    });
+  } catch (error) {
+    console.error('刷新模型列表失败:', error);
+    res.status(500).json({ success: false, message: '刷新模型列表失败: ' + error.message });
+  }
+});
+
+// 获取视频生成任务列表（默认只返回未完成的任务，?all=true 返回全部）
+router.get('/video-jobs', adminAuth, async (req, res) => {
+  try {
+    const pendingOnly = req.query.all !== 'true';
+    const jobs = await db.getVideoJobs(pendingOnly, req.query.limit);
+    const data = jobs.map(({ api_key, result, ...job }) => ({
+      ...job,
+      result: safeParseJson(result),
+      api_key_name: api_key ? `${api_key.substring(0, 8)}...${api_key.substring(api_key.length - 4)}` : null
+    }));
+    res.json({ success: true, data });
+  } catch (error) {
+    console.error('获取视频任务列表失败:', error);
+    res.status(500).json({ success: false, message: '获取视频任务列表失败' });
+  }
+});
+
 // 代理配置相关API
 // 获取代理配置状态
 router.get('/proxy/config', adminAuth, async (req, res) => {
@@ -1032,10 +2194,44 @@ async function autoVerifyProxyConfig(proxyId) {
   }
 }
 
-// 获取客户端API密钥（用于客户端访问代理服务）
-router.get('/client-api-key', adminAuth, (req, res) => {
+// 把配置项写入 .env 文件（文件不存在或写入失败时返回false）
+function updateEnvFile(name, value) {
+  const fs = require('fs');
+  const path = require('path');
+  const envPath = path.join(__dirname, '..', '.env');
+  if (!fs.existsSync(envPath)) {
+    return false;
+  }
+  // 值中的换行会在 .env 中注入额外的配置项
+  if (/[\r\n]/.test(value)) {
+    console.warn(`更新 .env 文件失败: ${name} 的值包含换行符`);
+    return false;
+  }
+  try {
+    const lines = fs.readFileSync(envPath, 'utf8').split('\n');
+    let updated = false;
+    const newLines = lines.map(line => {
+      if (line.trim().startsWith(`${name}=`)) {
+        updated = true;
+        return `${name}=${value}`;
+      }
+      return line;
+    });
+    if (!updated) {
+      newLines.push(`${name}=${value}`);
+    }
+    fs.writeFileSync(envPath, newLines.join('\n'), 'utf8');
+    return true;
+  } catch (fileError) {
+    console.warn('更新 .env 文件失败:', fileError.message);
+    return false;
+  }
+}
+
+// 获取客户端API密钥（CLIENT_API_KEY，用于客户端访问代理服务，与管理员密码分开）
+router.get('/client-api-key', adminAuth, async (req, res) => {
   try {
-    const apiKey = process.env.ADMIN_PASSWORD || '';
+    const apiKey = process.env.CLIENT_API_KEY || '';
     const maskedKey = apiKey ? `${apiKey.substring(0, 8)}...${apiKey.substring(apiKey.length - 4)}` : '';
     
     res.json({
@@ -1043,7 +2239,9 @@ router.get('/client-api-key', adminAuth, (req, res) => {
       data: {
         api_key: apiKey, // 返回完整密钥
         masked_key: maskedKey, // 返回掩码后的密钥用于显示
-        is_set: !!apiKey
+        is_set: !!apiKey,
+        // 设置了管理员密码但没有任何客户端凭证时，转发接口拒绝所有请求
+        credential_missing: await clientKeyManager.isClientCredentialMissing()
       }
     });
   } catch (error) {
@@ -1052,7 +2250,7 @@ router.get('/client-api-key', adminAuth, (req, res) => {
   }
 });
 
-// 更新客户端API密钥（用于客户端访问代理服务）
+// 更新客户端API密钥（只修改CLIENT_API_KEY，不影响管理员密码）
 router.put('/client-api-key', adminAuth, async (req, res) => {
   try {
     const { api_key } = req.body;
@@ -1065,6 +2263,14 @@ router.put('/client-api-key', adminAuth, async (req, res) => {
     }
     
     const trimmedKey = api_key.trim();
+
+    // 密钥会写入 .env 文件并放在请求头中使用，不能包含换行等控制字符
+    if (/[\x00-\x1f\x7f]/.test(trimmedKey)) {
+      return res.status(400).json({
+        success: false,
+        message: 'API密钥不能包含换行符等控制字符'
+      });
+    }
     
     // 验证密钥长度（建议至少8位）
     if (trimmedKey.length < 8) {
@@ -1073,41 +2279,18 @@ router.put('/client-api-key', adminAuth, async (req, res) => {
         message: 'API密钥长度至少需要8个字符' 
       });
     }
-    
-    // 更新环境变量（仅在运行时有效，重启后会丢失）
-    process.env.ADMIN_PASSWORD = trimmedKey;
-    
-    // 尝试更新 .env 文件（如果存在）
-    const fs = require('fs');
-    const path = require('path');
-    const envPath = path.join(__dirname, '..', '.env');
-    
-    let envUpdated = false;
-    if (fs.existsSync(envPath)) {
-      try {
-        let envContent = fs.readFileSync(envPath, 'utf8');
-        const lines = envContent.split('\n');
-        let updated = false;
-        
-        const newLines = lines.map(line => {
-          if (line.trim().startsWith('ADMIN_PASSWORD=')) {
-            updated = true;
-            return `ADMIN_PASSWORD=${trimmedKey}`;
-          }
-          return line;
-        });
-        
-        if (!updated) {
-          newLines.push(`ADMIN_PASSWORD=${trimmedKey}`);
-        }
-        
-        fs.writeFileSync(envPath, newLines.join('\n'), 'utf8');
-        envUpdated = true;
-      } catch (fileError) {
-        console.warn('更新 .env 文件失败:', fileError.message);
-      }
+
+    if (await adminAuthManager.verifyPassword(trimmedKey)) {
+      return res.status(400).json({
+        success: false,
+        message: '客户端API密钥不能与管理员密码相同'
+      });
     }
     
+    // 更新环境变量（立即生效），并写入 .env 文件以便重启后保留
+    process.env.CLIENT_API_KEY = trimmedKey;
+    const envUpdated = updateEnvFile('CLIENT_API_KEY', trimmedKey);
+    
     const maskedKey = `${trimmedKey.substring(0, 8)}...${trimmedKey.substring(trimmedKey.length - 4)}`;
     
     res.json({
@@ -1118,8 +2301,8 @@ router.put('/client-api-key', adminAuth, async (req, res) => {
         masked_key: maskedKey,
         env_file_updated: envUpdated,
         note: envUpdated 
-          ? '已更新 .env 文件，重启服务后生效' 
-          : '已更新运行时环境变量，但未找到 .env 文件。请手动更新环境变量配置并重启服务'
+          ? '已立即生效，并已写入 .env 文件' 
+          : '已立即生效，但未找到 .env 文件，重启后会恢复原配置。请手动设置环境变量 CLIENT_API_KEY'
       }
     });
   } catch (error) {
@@ -10,7 +10,9 @@ const {
   isBusyError,
   getErrorMessage,
   getCurrentApiKeyId,
-  setCurrentApiKeyId
+  setCurrentApiKeyId,
+  resolveKeyRoute,
+  countSaturatedKeys
 } = require('../utils/apiManager');
 const {
   isProxyEnabled,
@@ -19,32 +21,90 @@ const {
   shouldUseProxy,
   createProxyAgent
 } = require('../utils/proxyManager');
+const { getModels } = require('../utils/modelManager');
+const { getProviderById, getProviderForKey, buildProviderUrl, buildAuthHeaders } = require('../utils/providerManager');
+const keyUsageTracker = require('../utils/keyUsageTracker');
+const {
+  isModelAllowed,
+  getAllowedModels,
+  checkClientKey,
+  findClientKey,
+  hasClientKeys,
+  getSharedClientToken,
+  reserveClientRequest,
+  recordClientTokens
+} = require('../utils/clientKeyManager');
+const { spoolRequestBody } = require('../utils/requestSpool');
+const { getClientIp } = require('../utils/clientIp');
+const authLockoutManager = require('../utils/authLockoutManager');
+const { isPasswordRequired } = require('../utils/adminAuthManager');
+const {
+  toChatCompletionsRequest,
+  fromChatCompletionResponse,
+  createAnthropicStreamTransform,
+  anthropicErrorFormat
+} = require('../utils/anthropicAdapter');
+const {
+  toChatCompletionsRequest: responsesToChatRequest,
+  fromChatCompletionResponse: chatToResponsesResponse,
+  createResponsesStreamTransform
+} = require('../utils/responsesAdapter');
+const { openaiErrorFormat } = require('../utils/openaiCompat');
 
 const router = express.Router();
 
-// 硅基流动API基础URL
-const SILICONFLOW_BASE_URL = 'https://api.siliconflow.cn/v1';
-
 // 重试配置与超时
 const MAX_RETRIES = 3; // 每个API key最多重试3次
 const RETRY_DELAY = 30000; // 重试延迟30秒
 const UPSTREAM_TIMEOUT_MS = parseInt(process.env.UPSTREAM_TIMEOUT_MS || '240000'); // 上游请求超时（默认240秒）
 const CLIENT_SOCKET_TIMEOUT_MS = parseInt(process.env.CLIENT_SOCKET_TIMEOUT_MS || '480000'); // 客户端连接/响应最大保持时间（默认480秒）
 
+// 通用透传配置：未单独实现的上游接口可通过通配路由转发
+// 路径规则以逗号分隔，支持 * 通配符（如 /video/*,/batches*）
+const PASSTHROUGH_ENABLED = process.env.PASSTHROUGH_ENABLED === 'true';
+const PASSTHROUGH_ALLOW_PATHS = parsePathPatterns(process.env.PASSTHROUGH_ALLOW_PATHS || '*');
+const PASSTHROUGH_DENY_PATHS = parsePathPatterns(process.env.PASSTHROUGH_DENY_PATHS || '/user/*');
+// 透传请求遇到这些状态码时切换API key，其余错误原样返回给客户端
+const PASSTHROUGH_ROTATE_STATUS = [401, 403, 429];
+
 const RESPONSE_TYPE_LABEL = {
   stream: '流式',
-  json: 'JSON'
+  json: 'JSON',
+  binary: '二进制'
 };
 
-function getClientIp(req) {
-  const forwarded = req.headers['x-forwarded-for'];
-  if (forwarded && typeof forwarded === 'string') {
-    return forwarded.split(',')[0].trim();
+function parsePathPatterns(value) {
+  return value
+    .split(',')
+    .map(pattern => pattern.trim())
+    .filter(Boolean)
+    .map(pattern => new RegExp('^' + pattern.replace(/[.+?^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*') + '$'));
+}
+
+// 规范化透传路径：解码后按 / 拆分（\ 同样视为分隔符），去掉空段，再逐段重新编码
+// 解码后仍包含 . 或 .. 段（如 /x/../user/info、/x/%2e%2e/user/info）或无法解码时返回null，避免绕过黑名单访问其他上游接口
+function normalizePassthroughPath(rawPath) {
+  let decoded;
+  try {
+    decoded = decodeURIComponent(rawPath);
+  } catch (error) {
+    return null;
   }
-  if (req.ip) {
-    return req.ip.replace('::ffff:', '');
+  const segments = decoded.split(/[\/\\]+/).filter(Boolean);
+  if (segments.some(segment => segment === '.' || segment === '..')) {
+    return null;
+  }
+  return {
+    path: '/' + segments.join('/'),
+    encodedPath: '/' + segments.map(segment => encodeURIComponent(segment)).join('/')
+  };
+}
+
+function isPassthroughPathAllowed(upstreamPath) {
+  if (PASSTHROUGH_DENY_PATHS.some(regex => regex.test(upstreamPath))) {
+    return false;
   }
-  return req.socket?.remoteAddress?.replace('::ffff:', '') || '未知';
+  return PASSTHROUGH_ALLOW_PATHS.some(regex => regex.test(upstreamPath));
 }
 
 function buildProxyDescriptor(proxy) {
@@ -137,6 +197,11 @@ function buildResponseSummary(data) {
         }
       }
       
+      // 文本补全（/completions）返回text字段
+      if (typeof choice.text === 'string') {
+        choiceSummary.text_length = choice.text.length;
+      }
+      
       // 流式响应可能有delta
       if (choice.delta) {
         choiceSummary.delta = {
@@ -160,6 +225,306 @@ function buildResponseSummary(data) {
   return summary;
 }
 
+function buildEmbeddingRequestSummary(payload) {
+  if (!payload || typeof payload !== 'object') return null;
+  const input = payload.input;
+  return {
+    model: payload.model || null,
+    input_type: Array.isArray(input) ? 'array' : typeof input,
+    input_count: Array.isArray(input) ? input.length : (input !== undefined && input !== null ? 1 : 0),
+    encoding_format: payload.encoding_format,
+    dimensions: payload.dimensions,
+    extra_keys: Object.keys(payload).filter((key) => !['model', 'input', 'encoding_format', 'dimensions'].includes(key))
+  };
+}
+
+function buildEmbeddingResponseSummary(data) {
+  if (!data || typeof data !== 'object') return null;
+  const summary = {};
+  if (data.model) summary.model = data.model;
+  if (data.object) summary.object = data.object;
+  if (Array.isArray(data.data)) {
+    summary.embeddings_count = data.data.length;
+    const first = data.data[0];
+    if (first && Array.isArray(first.embedding)) {
+      summary.dimensions = first.embedding.length;
+    }
+  }
+  // 向量接口只有prompt_tokens和total_tokens
+  if (data.usage) {
+    summary.usage = {
+      prompt_tokens: data.usage.prompt_tokens,
+      total_tokens: data.usage.total_tokens
+    };
+  }
+  if (data.error && typeof data.error === 'object') {
+    summary.error = {
+      code: data.error.code,
+      message: data.error.message,
+      type: data.error.type
+    };
+  }
+  return summary;
+}
+
+function buildImageRequestSummary(payload) {
+  if (!payload || typeof payload !== 'object') return null;
+  return {
+    model: payload.model || null,
+    prompt_length: typeof payload.prompt === 'string' ? payload.prompt.length : 0,
+    has_negative_prompt: !!payload.negative_prompt,
+    has_reference_image: !!payload.image,
+    // 兼容硅基流动（image_size/batch_size）与OpenAI（size/n）两种参数
+    image_size: payload.image_size || payload.size || null,
+    image_count: payload.batch_size || payload.n || 1,
+    num_inference_steps: payload.num_inference_steps,
+    guidance_scale: payload.guidance_scale,
+    seed: payload.seed,
+    extra_keys: Object.keys(payload).filter((key) => !['model', 'prompt', 'negative_prompt', 'image', 'image_size', 'size', 'batch_size', 'n', 'num_inference_steps', 'guidance_scale', 'seed'].includes(key))
+  };
+}
+
+function buildImageResponseSummary(data) {
+  if (!data || typeof data !== 'object') return null;
+  const summary = {};
+  const images = Array.isArray(data.images) ? data.images : (Array.isArray(data.data) ? data.data : null);
+  if (images) {
+    summary.image_count = images.length;
+  }
+  if (data.seed !== undefined) summary.seed = data.seed;
+  if (data.timings) summary.timings = data.timings;
+  if (data.created) summary.created = data.created;
+  if (data.error && typeof data.error === 'object') {
+    summary.error = {
+      code: data.error.code,
+      message: data.error.message,
+      type: data.error.type
+    };
+  }
+  return summary;
+}
+
+function buildTranscriptionRequestSummary(upload) {
+  return {
+    model: upload.fields.model || null,
+    content_type: upload.contentType.split(';')[0],
+    body_size: upload.size,
+    files: upload.files,
+    response_format: upload.fields.response_format,
+    language: upload.fields.language,
+    extra_keys: Object.keys(upload.fields).filter((key) => !['model', 'response_format', 'language'].includes(key))
+  };
+}
+
+function buildTranscriptionResponseSummary(data) {
+  if (!data || typeof data !== 'object') return null;
+  const summary = {};
+  if (typeof data.text === 'string') summary.text_length = data.text.length;
+  if (data.duration !== undefined) summary.duration = data.duration;
+  if (data.language) summary.language = data.language;
+  if (data.error && typeof data.error === 'object') {
+    summary.error = {
+      code: data.error.code,
+      message: data.error.message,
+      type: data.error.type
+    };
+  }
+  return summary;
+}
+
+function buildCompletionRequestSummary(payload) {
+  if (!payload || typeof payload !== 'object') return null;
+  const prompt = payload.prompt;
+  return {
+    model: payload.model || null,
+    stream: payload.stream === true,
+    max_tokens: payload.max_tokens,
+    temperature: payload.temperature,
+    top_p: payload.top_p,
+    prompt_type: Array.isArray(prompt) ? 'array' : typeof prompt,
+    prompt_length: typeof prompt === 'string' ? prompt.length : undefined,
+    prompt_count: Array.isArray(prompt) ? prompt.length : undefined,
+    has_suffix: typeof payload.suffix === 'string' && payload.suffix.length > 0,
+    extra_keys: Object.keys(payload).filter((key) => !['model', 'prompt', 'suffix', 'stream', 'max_tokens', 'temperature', 'top_p'].includes(key))
+  };
+}
+
+function buildSpeechRequestSummary(payload) {
+  if (!payload || typeof payload !== 'object') return null;
+  return {
+    model: payload.model || null,
+    voice: payload.voice,
+    input_length: typeof payload.input === 'string' ? payload.input.length : 0,
+    response_format: payload.response_format,
+    sample_rate: payload.sample_rate,
+    speed: payload.speed,
+    gain: payload.gain,
+    stream: payload.stream === true,
+    extra_keys: Object.keys(payload).filter((key) => !['model', 'voice', 'input', 'response_format', 'sample_rate', 'speed', 'gain', 'stream'].includes(key))
+  };
+}
+
+function buildRerankRequestSummary(payload) {
+  if (!payload || typeof payload !== 'object') return null;
+  return {
+    model: payload.model || null,
+    query_length: typeof payload.query === 'string' ? payload.query.length : 0,
+    documents_count: Array.isArray(payload.documents) ? payload.documents.length : 0,
+    top_n: payload.top_n,
+    return_documents: payload.return_documents,
+    extra_keys: Object.keys(payload).filter((key) => !['model', 'query', 'documents', 'top_n', 'return_documents'].includes(key))
+  };
+}
+
+function buildRerankResponseSummary(data) {
+  if (!data || typeof data !== 'object') return null;
+  const summary = {};
+  if (data.id) summary.id = data.id;
+  if (Array.isArray(data.results)) {
+    summary.results_count = data.results.length;
+    if (data.results[0] && data.results[0].relevance_score !== undefined) {
+      summary.top_score = data.results[0].relevance_score;
+    }
+  }
+  // 硅基流动在meta.tokens中返回token用量
+  if (data.meta && data.meta.tokens) {
+    summary.tokens = data.meta.tokens;
+  }
+  if (data.usage) summary.usage = data.usage;
+  if (data.error && typeof data.error === 'object') {
+    summary.error = {
+      code: data.error.code,
+      message: data.error.message,
+      type: data.error.type
+    };
+  }
+  return summary;
+}
+
+function buildVideoSubmitRequestSummary(payload) {
+  if (!payload || typeof payload !== 'object') return null;
+  return {
+    model: payload.model || null,
+    prompt_length: typeof payload.prompt === 'string' ? payload.prompt.length : 0,
+    image_size: payload.image_size,
+    has_image: !!payload.image,
+    seed: payload.seed,
+    extra_keys: Object.keys(payload).filter((key) => !['model', 'prompt', 'negative_prompt', 'image_size', 'image', 'seed'].includes(key))
+  };
+}
+
+function buildVideoResponseSummary(data) {
+  if (!data || typeof data !== 'object') return null;
+  const summary = {};
+  if (data.requestId) summary.requestId = data.requestId;
+  if (data.status) summary.status = data.status;
+  if (data.reason) summary.reason = data.reason;
+  if (data.results && Array.isArray(data.results.videos)) {
+    summary.videos_count = data.results.videos.length;
+  }
+  if (data.results && data.results.timings) {
+    summary.timings = data.results.timings;
+  }
+  return summary;
+}
+
+function buildPassthroughRequestSummary(req, bodyInfo) {
+  return {
+    method: req.method,
+    path: req.path,
+    query_keys: Object.keys(req.query || {}),
+    content_type: req.headers['content-type'] || null,
+    body_type: bodyInfo.type,
+    body_size: bodyInfo.size,
+    model: bodyInfo.model || null
+  };
+}
+
+// 流式响应头：SSE保持连接不缓存，二进制内容透传上游的类型和长度
+function buildStreamHeaders(response, responseMode = 'sse') {
+  if (responseMode === 'passthrough') {
+    return buildPassthroughHeaders(response.headers);
+  }
+
+  const headers = responseMode === 'binary'
+    ? {
+      'Content-Type': response.headers['content-type'] || 'application/octet-stream'
+    }
+    : {
+      'Content-Type': response.headers['content-type'] || 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      'Connection': 'keep-alive',
+      'X-Accel-Buffering': 'no'
+    };
+
+  if (responseMode === 'binary') {
+    // axios会自动解压，压缩内容的原始长度不再准确
+    if (response.headers['content-length'] && !response.headers['content-encoding']) {
+      headers['Content-Length'] = response.headers['content-length'];
+    }
+    if (response.headers['content-disposition']) {
+      headers['Content-Disposition'] = response.headers['content-disposition'];
+    }
+  }
+
+  if (response.headers['x-request-id']) {
+    headers['X-Request-ID'] = response.headers['x-request-id'];
+  }
+  return headers;
+}
+
+// 透传上游响应头（去掉逐跳头和已被axios处理的编码相关头）
+const HOP_BY_HOP_HEADERS = [
+  'connection', 'keep-alive', 'proxy-authenticate', 'proxy-authorization', 'te', 'trailer',
+  'transfer-encoding', 'upgrade', 'content-encoding', 'content-length', 'set-cookie'
+];
+
+function buildPassthroughHeaders(upstreamHeaders = {}) {
+  const headers = {};
+  for (const [name, value] of Object.entries(upstreamHeaders)) {
+    if (value === undefined || value === null) continue;
+    if (HOP_BY_HOP_HEADERS.includes(name.toLowerCase())) continue;
+    headers[name] = value;
+  }
+  return headers;
+}
+
+// 为上游流附加转换流（如协议转换），上游出错时转换流同样报错，转换流关闭时同时关闭上游
+function attachStreamTransform(upstream, createStreamTransform) {
+  if (!createStreamTransform) return upstream;
+  const transform = createStreamTransform();
+  upstream.on('error', (err) => transform.destroy(err));
+  transform.on('close', () => {
+    if (!upstream.destroyed) {
+      upstream.destroy();
+    }
+  });
+  return upstream.pipe(transform);
+}
+
+// 读取流式错误响应体并尝试解析为JSON（替换 error.response.data）
+async function readStreamErrorData(error) {
+  const data = error && error.response && error.response.data;
+  if (!data || typeof data.on !== 'function') return;
+  try {
+    const chunks = [];
+    let length = 0;
+    for await (const chunk of data) {
+      chunks.push(chunk);
+      length += chunk.length;
+      if (length > 64 * 1024) break; // 错误响应只保留前64KB
+    }
+    const text = Buffer.concat(chunks).toString('utf8');
+    try {
+      error.response.data = JSON.parse(text);
+    } catch (e) {
+      error.response.data = text;
+    }
+  } catch (e) {
+    error.response.data = null;
+  }
+}
+
 // 定期清理过期的IP拉黑记录
 setInterval(async () => {
   try {
@@ -169,30 +534,95 @@ setInterval(async () => {
   }
 }, 5 * 60 * 1000); // 每5分钟清理一次
 
-// API密钥认证中间件（使用ADMIN_PASSWORD环境变量）
-const apiAuth = (req, res, next) => {
-  const apiKey = process.env.ADMIN_PASSWORD;
-  
-  // 如果没有设置API密钥，跳过认证
-  if (!apiKey) {
-    return next();
+// 提取客户端发来的API密钥：Authorization: Bearer <key> 或 x-api-key: <key>
+function getClientToken(req) {
+  const authHeader = req.headers.authorization;
+  if (authHeader && authHeader.startsWith('Bearer ')) {
+    return authHeader.substring(7);
+  }
+  const xApiKey = req.headers['x-api-key'];
+  if (xApiKey && typeof xApiKey === 'string') {
+    return xApiKey;
+  }
+  return null;
+}
+
+// 认证失败次数过多被锁定的IP返回429，锁定期间即使密钥正确也拒绝，避免继续猜测
+function sendAuthLockedError(res, lockoutSeconds) {
+  res.set('Retry-After', String(lockoutSeconds));
+  return res.status(429).json({
+    error: {
+      message: 'API密钥认证失败次数过多，请稍后重试',
+      type: 'rate_limited',
+      reason: `该IP认证失败次数过多已被锁定，${lockoutSeconds} 秒后解除`,
+      retry_after: lockoutSeconds
+    }
+  });
+}
+
+// API密钥认证中间件：接受共享的客户端API密钥（CLIENT_API_KEY）或管理员分发的虚拟客户端密钥
+// 客户端密钥认证通过后挂在 req.clientKey 上，转发时用于模型限制、配额统计和调用归属
+const apiAuth = async (req, res, next) => {
+  const apiKey = getSharedClientToken();
+  const clientIp = getClientIp(req);
+
+  const lockoutSeconds = authLockoutManager.getLockoutSeconds('api', clientIp);
+  if (lockoutSeconds > 0) {
+    return sendAuthLockedError(res, lockoutSeconds);
   }
   
-  // 检查Authorization头
-  const authHeader = req.headers.authorization;
-  if (!authHeader || !authHeader.startsWith('Bearer ')) {
+  // 检查Authorization头（Anthropic客户端使用x-api-key头）
+  const token = getClientToken(req);
+
+  try {
+    const clientKey = await findClientKey(token);
+    if (clientKey) {
+      // 停用、过期或配额用完的密钥不是猜测出来的，不计入认证失败
+      authLockoutManager.recordSuccess('api', clientIp);
+      const problem = checkClientKey(clientKey);
+      if (problem) {
+        return res.status(problem.status).json({
+          error: {
+            message: problem.message,
+            type: problem.type,
+            reason: problem.reason
+          }
+        });
+      }
+      req.clientKey = clientKey;
+      return next();
+    }
+
+    // 如果没有设置API密钥，也没有客户端密钥：未设置管理员密码时跳过认证，否则拒绝（管理员密码不能用于转发接口）
+    if (!apiKey && !(await hasClientKeys())) {
+      if (!(await isPasswordRequired())) {
+        return next();
+      }
+      return res.status(401).json({
+        error: {
+          message: '未配置客户端API密钥',
+          type: 'unauthorized',
+          reason: '管理员密码不能用于转发接口，请管理员设置 CLIENT_API_KEY 或创建虚拟客户端密钥'
+        }
+      });
+    }
+  } catch (error) {
+    return next(error);
+  }
+
+  if (!token) {
     return res.status(401).json({
       error: {
         message: '需要API密钥认证',
         type: 'unauthorized',
-        reason: '缺少Authorization头或格式错误'
+        reason: '缺少Authorization头（或x-api-key头）或格式错误'
       }
     });
   }
   
-  // 提取并验证token
-  const token = authHeader.substring(7);
+  // 验证token
   if (token !== apiKey) {
+    authLockoutManager.recordFailure('api', clientIp);
     return res.status(401).json({
       error: {
         message: 'API密钥无效',
@@ -203,12 +633,123 @@ const apiAuth = (req, res, next) => {
   }
   
   // 认证通过
+  authLockoutManager.recordSuccess('api', clientIp);
   next();
 };
 
-// 转发聊天完成请求
-router.post('/chat/completions', apiAuth, async (req, res) => {
+// 没有可选的API key时返回错误：如果有key处于限流冷却中，返回429并告知客户端多久后重试
+// saturatedCount: 因达到并发上限被跳过的key数量，大于0时同样返回429
+function sendNoAvailableKeyError(res, message, reason, saturatedCount = 0) {
+  if (saturatedCount > 0) {
+    res.set('Retry-After', '1');
+    return res.status(429).json({
+      error: {
+        message: '所有可用的API密钥都已达到并发上限，请稍后重试',
+        type: 'rate_limited',
+        reason: `${saturatedCount} 个API密钥的进行中请求数已达到上限`,
+        retry_after: 1
+      }
+    });
+  }
+  const cooldownEnd = keyUsageTracker.getEarliestCooldownEnd();
+  if (cooldownEnd) {
+    const retryAfter = Math.max(1, Math.ceil((cooldownEnd - Date.now()) / 1000));
+    res.set('Retry-After', String(retryAfter));
+    return res.status(429).json({
+      error: {
+        message: '所有可用的API密钥都在限流冷却中，请稍后重试',
+        type: 'rate_limited',
+        reason: `最早的API密钥将在 ${retryAfter} 秒后恢复`,
+        retry_after: retryAfter
+      }
+    });
+  }
+  return res.status(503).json({
+    error: {
+      message,
+      type: 'service_unavailable',
+      reason
+    }
+  });
+}
+
+// 执行成功回调，回调出错只记录日志，不影响返回给客户端的响应
+async function runSuccessHook(hook, data, keyInfo) {
+  try {
+    await hook(data, keyInfo);
+  } catch (error) {
+    console.error('请求成功回调执行失败:', error.message);
+  }
+}
+
+// 通用转发：IP拉黑检查、API key重试与切换、代理回退、使用日志记录
+// options.upstreamPath: 上游接口路径（如 /chat/completions）
+// options.method: 上游请求方法（默认 post）
+// options.payload: 转发的请求体（默认 req.body）
+// options.isStreaming: 是否为流式响应（默认取 payload.stream）
+// options.responseMode: 流式响应的输出方式，'sse'（默认）、'binary'（音频等二进制内容）或 'passthrough'（原样透传上游响应头）
+// options.maxRetriesPerKey: 单个API key的最大重试次数（默认 MAX_RETRIES，0 表示失败后立即切换）
+// options.shouldRotateKey: 判断上游错误是否需要重试/切换key，返回false时直接把上游错误返回给客户端
+// options.createRequestBody: 每次请求时生成实际发送的请求体（用于文件流等不可重复读取的内容）
+// options.requestHeaders: 额外的上游请求头（如 multipart 的 Content-Type）
+// options.summarizeRequest / options.summarizeResponse: 生成日志中请求/响应摘要的函数
+// options.transformResponse: 返回给客户端前转换JSON响应（协议转换用）
+// options.createStreamTransform: 为每个流式响应创建转换流（协议转换用）
+// options.pinnedKey: 固定使用的API key记录（如视频任务查询必须使用提交任务的key），失败时不切换
+// options.onSuccess: 非流式请求成功后调用 (data, keyInfo)，用于记录任务与key的对应关系等
+// options.modelFree: 接口本身不指定模型、也不会调用模型（如查询视频任务状态），限制了模型的客户端密钥也可以调用
+async function forwardWithFailover(req, res, options) {
+  const {
+    upstreamPath,
+    method = 'post',
+    payload = req.body,
+    isStreaming: isStreamingOption,
+    responseMode = 'sse',
+    createRequestBody = () => payload,
+    requestHeaders = {},
+    maxRetriesPerKey = MAX_RETRIES,
+    shouldRotateKey = () => true,
+    summarizeRequest = buildRequestSummary,
+    summarizeResponse = buildResponseSummary,
+    transformResponse = null,
+    createStreamTransform = null,
+    pinnedKey = null,
+    onSuccess = null,
+    modelFree = false
+  } = options;
+
+  const requestModel = payload && typeof payload.model === 'string' ? payload.model : undefined;
+  const clientKey = req.clientKey || null;
+  // 客户端密钥预占的请求配额：上游成功时确认，响应结束时仍未确认则退还
+  let clientReservation = null;
+
   try {
+    // 客户端密钥限制了可用模型时，拒绝其他模型的请求；通过检查的请求预占该密钥的一次请求配额
+    if (clientKey) {
+      if (!isModelAllowed(clientKey, requestModel, { allowMissingModel: modelFree })) {
+        return res.status(403).json({
+          error: {
+            message: '该API密钥无权使用此模型',
+            type: 'forbidden',
+            reason: requestModel
+              ? `客户端密钥 ${clientKey.name} 不允许使用模型 ${requestModel}`
+              : `客户端密钥 ${clientKey.name} 限制了可用模型，请求中必须指定模型`
+          }
+        });
+      }
+      clientReservation = await reserveClientRequest(clientKey);
+      if (!clientReservation) {
+        return res.status(429).json({
+          error: {
+            message: 'API密钥的请求次数配额已用完',
+            type: 'quota_exceeded',
+            reason: `客户端密钥 ${clientKey.name} 的请求次数已达到配额 ${clientKey.request_quota}`
+          }
+        });
+      }
+      res.once('close', () => clientReservation.release());
+    }
+
     // 1. 检查代理服务器IP是否被上游拉黑
     // 注意：无论有多少个客户端IP发送请求，上游（硅基流动）看到的始终是代理服务器本身的IP
     // 如果代理服务器IP被拉黑，所有转发请求都会失败，因此必须拒绝所有客户端请求
@@ -230,16 +771,19 @@ router.post('/chat/completions', apiAuth, async (req, res) => {
       });
     }
 
-    // 2. 获取当前使用的API key
-    let keyInfo = await getCurrentApiKey();
+    // 2. 获取当前使用的API key（指定了固定key时只使用该key，不参与轮换）
+    let keyInfo = pinnedKey || await getCurrentApiKey(requestModel);
     if (!keyInfo) {
-      return res.status(503).json({
-        error: {
-          message: '没有可用的API密钥',
-          type: 'service_unavailable',
-          reason: '所有API密钥都不可用或已欠费'
-        }
-      });
+      const route = await resolveKeyRoute(requestModel);
+      const targets = [];
+      if (route.providerId) {
+        const routeProvider = await getProviderById(route.providerId);
+        targets.push(`供应商 ${routeProvider ? routeProvider.name : route.providerId}`);
+      }
+      if (route.group) targets.push(`分组 ${route.group}`);
+      return sendNoAvailableKeyError(res, '没有可用的API密钥', targets.length > 0
+        ? `模型 ${requestModel} 路由到${targets.join('、')}，其中没有可用的API密钥`
+        : '所有API密钥都不可用或已欠费', await countSaturatedKeys(requestModel));
     }
 
     let apiKey = keyInfo.api_key;
@@ -247,7 +791,11 @@ router.post('/chat/completions', apiAuth, async (req, res) => {
     let apiKeyName = `${apiKey.substring(0, 8)}...${apiKey.substring(apiKey.length - 4)}`; // 用于日志显示
     
     // 更新当前使用的API密钥ID（用于前端显示）
-    setCurrentApiKeyId(apiKeyId);
+    // 固定key的请求不修改当前key，避免影响其他请求的key选择
+    const updateCurrentKeyId = (id) => {
+      if (!pinnedKey) setCurrentApiKeyId(id);
+    };
+    updateCurrentKeyId(apiKeyId);
     
     let maxKeyAttempts = 10; // 最多尝试10个不同的API key
     let keyAttempts = 0;
@@ -257,12 +805,55 @@ router.post('/chat/completions', apiAuth, async (req, res) => {
     let lastError = null; // 记录最后一个错误
     let clientDisconnected = false; // 标记客户端是否断开连接
     let requestCompleted = false; // 标记请求是否正常完成（成功或失败但已处理）
-    const isStreamingRequest = req.body && req.body.stream === true;
+    const isStreamingRequest = isStreamingOption !== undefined
+      ? isStreamingOption
+      : !!(payload && payload.stream === true);
     const clientIp = getClientIp(req);
-    const requestPath = req.originalUrl || req.path || '/proxy/chat/completions';
-    const upstreamUrl = `${SILICONFLOW_BASE_URL}/chat/completions`;
-    const baseRequestSummary = buildRequestSummary(req.body);
-    const responseTypeLabel = isStreamingRequest ? RESPONSE_TYPE_LABEL.stream : RESPONSE_TYPE_LABEL.json;
+    const requestPath = req.originalUrl || req.path || `/proxy${upstreamPath}`;
+    // 上游地址和认证方式由key所属的供应商决定，切换key时一起更新
+    let provider = await getProviderForKey(keyInfo);
+    let upstreamUrl = buildProviderUrl(provider, upstreamPath);
+    const baseRequestSummary = summarizeRequest(payload);
+    const responseTypeLabel = responseMode === 'binary'
+      ? RESPONSE_TYPE_LABEL.binary
+      : (isStreamingRequest ? RESPONSE_TYPE_LABEL.stream : RESPONSE_TYPE_LABEL.json);
+
+    // 构造上游请求配置（直连和代理回退共用）
+    const buildUpstreamConfig = (key) => ({
+      method,
+      headers: {
+        ...buildAuthHeaders(provider, key),
+        'Content-Type': 'application/json',
+        ...requestHeaders
+      },
+      timeout: UPSTREAM_TIMEOUT_MS,
+      responseType: isStreamingRequest ? 'stream' : 'json',
+      maxBodyLength: Infinity,
+      maxContentLength: Infinity
+    });
+    // 记录key的用量：根据响应头更新限流冷却，统计非流式响应的token数
+    const trackUpstreamSuccess = (keyId, upstreamResponse) => {
+      keyUsageTracker.updateFromHeaders(keyId, upstreamResponse.headers);
+      const usage = !isStreamingRequest && upstreamResponse.data && upstreamResponse.data.usage;
+      if (usage) {
+        keyUsageTracker.recordTokens(keyId, usage.total_tokens);
+        if (clientKey) recordClientTokens(clientKey, usage.total_tokens);
+      }
+    };
+    // 流式响应从SSE数据中提取usage统计token数
+    // 必须在开始消费流的同时调用，提前添加data监听会让流在转发前就开始输出
+    const trackStreamUsage = (keyId, upstreamStream) => {
+      if (responseMode === 'sse') {
+        const sniffer = keyUsageTracker.createStreamUsageSniffer();
+        upstreamStream.on('data', sniffer.onData);
+        upstreamStream.on('end', () => {
+          const totalTokens = sniffer.getTotalTokens();
+          keyUsageTracker.recordTokens(keyId, totalTokens);
+          if (clientKey) recordClientTokens(clientKey, totalTokens);
+        });
+      }
+      return upstreamStream;
+    };
     const clientRequestId = req.headers['x-request-id'] || `req_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`;
     
     // 获取完整的请求URL（协议+主机+路径）
@@ -270,9 +861,9 @@ router.post('/chat/completions', apiAuth, async (req, res) => {
     const host = req.get('host') || req.headers.host || 'localhost';
     const fullRequestPath = `${protocol}://${host}${requestPath}`;
     
-    // 获取客户端发来的API密钥（从Authorization头）
-    const authHeader = req.headers.authorization;
-    const clientApiKey = authHeader && authHeader.startsWith('Bearer ') ? authHeader.substring(7) : null;
+    // 获取客户端发来的API密钥（从Authorization头或x-api-key头），客户端密钥只记录脱敏值用于调用归属
+    const clientApiKey = clientKey ? clientKey.token_preview : getClientToken(req);
+    const clientKeyId = clientKey ? clientKey.id : null;
 
     // 调整客户端与服务器之间的超时时间，避免长文本响应被提前断开
     const clientTimeoutLogger = (phase = '未知阶段') => {
@@ -364,7 +955,7 @@ router.post('/chat/completions', apiAuth, async (req, res) => {
       let retryCount = 0;
       let keySuccess = false; // 当前key是否成功
 
-      while (retryCount <= MAX_RETRIES && !keySuccess && !checkClientDisconnected()) {
+      while (retryCount <= maxRetriesPerKey && !keySuccess && !checkClientDisconnected()) {
         const attemptStart = Date.now();
         let activeProxyForAttempt = null;
         try {
@@ -379,14 +970,7 @@ router.post('/chat/completions', apiAuth, async (req, res) => {
 
           // 检查是否有激活的代理
           activeProxyForAttempt = await getActiveProxy();
-          let axiosConfig = {
-            headers: {
-              'Authorization': `Bearer ${apiKey}`,
-              'Content-Type': 'application/json'
-            },
-            timeout: UPSTREAM_TIMEOUT_MS,
-            responseType: isStreaming ? 'stream' : 'json'
-          };
+          let axiosConfig = buildUpstreamConfig(apiKey);
 
           // 如果有激活的代理，使用代理
           if (activeProxyForAttempt) {
@@ -397,21 +981,41 @@ router.post('/chat/completions', apiAuth, async (req, res) => {
             }
           }
 
-          const response = await axios.post(
-            `${SILICONFLOW_BASE_URL}/chat/completions`,
-            req.body,
-            axiosConfig
-          );
+          // 选中key到发起请求之间有异步等待，并发的其他请求可能已占满该key的名额，此时换下一个key
+          if (!pinnedKey && keyUsageTracker.isSaturated(apiKeyId, keyInfo.max_concurrency)) {
+            console.log(`API Key ${apiKeyId} (${apiKeyName}) 已达到并发上限，切换到下一个key`);
+            break;
+          }
+
+          keyUsageTracker.recordRequest(apiKeyId);
+          // 请求进行期间占用key的并发名额，流式响应在流结束后释放
+          const releaseSlot = keyUsageTracker.acquireSlot(apiKeyId);
+          let response;
+          try {
+            response = await axios.request({
+              ...axiosConfig,
+              url: upstreamUrl,
+              data: createRequestBody()
+            });
+          } finally {
+            keyUsageTracker.releaseWhenDone(response, releaseSlot);
+          }
 
           // 在收到响应后检查客户端是否断开
           if (checkClientDisconnected()) {
             console.log(`客户端已断开，停止处理响应 (API Key ${apiKeyId} ${apiKeyName})`);
+            // 不再读取的上游流需要关闭，否则连接和并发名额都不会释放
+            if (response.data && typeof response.data.destroy === 'function') {
+              response.data.destroy();
+            }
             return;
           }
 
           // 成功：更新API key状态，增加调用次数
           keySuccess = true;
           requestSuccess = true;
+          if (clientReservation) clientReservation.commit();
+          trackUpstreamSuccess(apiKeyId, response);
           await markApiKeyStatus(apiKeyId, 'active');
           await db.incrementCallCount(apiKeyId);
           const durationMs = Date.now() - attemptStart;
@@ -421,12 +1025,12 @@ router.post('/chat/completions', apiAuth, async (req, res) => {
           // 对于非流式响应，可以提取完整信息
           let responseSummary = null;
           if (!isStreaming && response.data) {
-            responseSummary = buildResponseSummary(response.data);
+            responseSummary = summarizeResponse(response.data);
           } else if (isStreaming) {
             // 流式响应：创建一个占位符，包含基本信息
             responseSummary = {
               stream: true,
-              model: req.body?.model || null
+              model: payload?.model || null
             };
           }
           
@@ -440,13 +1044,14 @@ router.post('/chat/completions', apiAuth, async (req, res) => {
             durationMs,
             requestType: proxyDescriptor ? '代理请求' : '客户端',
             responseType: responseTypeLabel,
-            model: req.body?.model || null,
+            model: payload?.model || null,
             clientIp,
             requestPath,
             upstreamUrl,
             proxyInfo: proxyDescriptor,
             requestId: clientRequestId,
             clientApiKey,
+            clientKeyId,
             fullRequestPath
           });
 
@@ -464,39 +1069,35 @@ router.post('/chat/completions', apiAuth, async (req, res) => {
 
           // 处理流式响应
           if (isStreaming && response.data) {
-            const streamHeaders = {
-              'Content-Type': response.headers['content-type'] || 'text/event-stream',
-              'Cache-Control': 'no-cache',
-              'Connection': 'keep-alive',
-              'X-Accel-Buffering': 'no'
-            };
-
-            if (response.headers['x-request-id']) {
-              streamHeaders['X-Request-ID'] = response.headers['x-request-id'];
-            }
+            const streamHeaders = buildStreamHeaders(response, responseMode);
+            const outputStream = attachStreamTransform(trackStreamUsage(apiKeyId, response.data), createStreamTransform);
 
-            response.data.on('data', (chunk) => {
+            outputStream.on('data', (chunk) => {
               if (checkClientDisconnected()) {
-                if (response.data && typeof response.data.destroy === 'function') {
-                  response.data.destroy();
+                if (typeof outputStream.destroy === 'function') {
+                  outputStream.destroy();
                 }
                 return;
               }
               if (!res.headersSent) {
-                res.writeHead(200, streamHeaders);
+                res.writeHead(response.status || 200, streamHeaders);
               }
               try {
               res.write(chunk);
               } catch (e) {
                 // 如果写入失败（客户端已断开），停止流式传输
-                if (response.data && typeof response.data.destroy === 'function') {
-                  response.data.destroy();
+                if (typeof outputStream.destroy === 'function') {
+                  outputStream.destroy();
                 }
               }
             });
 
-            response.data.on('end', () => {
+            outputStream.on('end', () => {
               if (!checkClientDisconnected()) {
+              // 空响应体（如204）不会触发data事件，需要在结束时补发响应头
+              if (!res.headersSent) {
+                res.writeHead(response.status || 200, streamHeaders);
+              }
               res.end();
               if (shouldAutoQuery) {
                 handleAutoQueryBalance(apiKeyId, autoQueryThreshold);
@@ -506,7 +1107,7 @@ router.post('/chat/completions', apiAuth, async (req, res) => {
               }
             });
 
-            response.data.on('error', (err) => {
+            outputStream.on('error', (err) => {
               console.error(`流式响应错误 (API Key ${apiKeyId} ${apiKeyName}):`, err.message);
               if (!res.headersSent && !checkClientDisconnected()) {
                 try {
@@ -532,8 +1133,8 @@ router.post('/chat/completions', apiAuth, async (req, res) => {
             // 监听客户端断开，停止流式传输
             const stopStreaming = () => {
               clientDisconnected = true;
-              if (response.data && typeof response.data.destroy === 'function') {
-                response.data.destroy();
+              if (typeof outputStream.destroy === 'function') {
+                outputStream.destroy();
               }
             };
             req.on('close', stopStreaming);
@@ -548,9 +1149,13 @@ router.post('/chat/completions', apiAuth, async (req, res) => {
             handleAutoQueryBalance(apiKeyId, autoQueryThreshold);
           }
 
+          if (onSuccess) {
+            await runSuccessHook(onSuccess, response.data, keyInfo);
+          }
+
           // 非流式请求正常完成，移除断开检测监听器
           removeDisconnectListeners();
-          return res.json(response.data);
+          return res.json(transformResponse ? transformResponse(response.data) : response.data);
 
         } catch (error) {
           const durationMs = Date.now() - attemptStart;
@@ -561,27 +1166,35 @@ router.post('/chat/completions', apiAuth, async (req, res) => {
             return;
           }
 
+          // 流式请求的错误响应体也是流，读取后才能判断错误类型
+          if (isStreamingRequest) {
+            await readStreamErrorData(error);
+          }
+
           lastError = error;
-          console.error(`API Key ${apiKeyId} (${apiKeyName}) 请求失败 (重试 ${retryCount}/${MAX_RETRIES}):`, error.message);
+          console.error(`API Key ${apiKeyId} (${apiKeyName}) 请求失败 (重试 ${retryCount}/${maxRetriesPerKey}):`, error.message);
+
+          // 限流错误（429）：key进入冷却，换IP也无法解决，不尝试代理
+          const rateLimitedUntil = keyUsageTracker.handleRateLimitError(apiKeyId, error);
 
           // 检查是否应该使用代理（在检测50603错误之前）
           const proxyEnabled = await isProxyEnabled();
-          if (proxyEnabled && shouldUseProxy(error) && retryCount === 0) {
+          if (proxyEnabled && shouldUseProxy(error) && retryCount === 0 && !rateLimitedUntil) {
             // 第一次失败，尝试使用代理
             console.log(`尝试使用代理进行请求 (API Key ${apiKeyId} ${apiKeyName})`);
             const proxyCallStart = Date.now();
-            const proxyResult = await tryProxyRequest(
-              {
-                headers: {
-                  'Authorization': `Bearer ${apiKey}`,
-                  'Content-Type': 'application/json'
-                },
-                timeout: UPSTREAM_TIMEOUT_MS,
-                responseType: isStreamingRequest ? 'stream' : 'json'
-              },
-              `${SILICONFLOW_BASE_URL}/chat/completions`,
-              req.body
-            );
+            keyUsageTracker.recordRequest(apiKeyId);
+            const releaseProxySlot = keyUsageTracker.acquireSlot(apiKeyId);
+            let proxyResult = null;
+            try {
+              proxyResult = await tryProxyRequest(
+                buildUpstreamConfig(apiKey),
+                upstreamUrl,
+                createRequestBody
+              );
+            } finally {
+              keyUsageTracker.releaseWhenDone(proxyResult && proxyResult.success ? proxyResult.response : null, releaseProxySlot);
+            }
             const proxyDurationTotal = Date.now() - proxyCallStart;
 
             if (proxyResult && proxyResult.success) {
@@ -589,6 +1202,8 @@ router.post('/chat/completions', apiAuth, async (req, res) => {
               const proxyResponse = proxyResult.response;
               keySuccess = true;
               requestSuccess = true;
+              if (clientReservation) clientReservation.commit();
+              trackUpstreamSuccess(apiKeyId, proxyResponse);
               await markApiKeyStatus(apiKeyId, 'active');
               await db.incrementCallCount(apiKeyId);
               const proxyDescriptorForLog = buildProxyDescriptor(proxyResult.proxy);
@@ -596,12 +1211,12 @@ router.post('/chat/completions', apiAuth, async (req, res) => {
               // 对于流式响应，proxyResponse.data是流对象，无法直接提取信息
               let proxyResponseSummary = null;
               if (!isStreamingRequest && proxyResponse.data) {
-                proxyResponseSummary = buildResponseSummary(proxyResponse.data);
+                proxyResponseSummary = summarizeResponse(proxyResponse.data);
               } else if (isStreamingRequest) {
                 // 流式响应：创建一个占位符
                 proxyResponseSummary = {
                   stream: true,
-                  model: req.body?.model || null
+                  model: payload?.model || null
                 };
               }
               
@@ -615,13 +1230,14 @@ router.post('/chat/completions', apiAuth, async (req, res) => {
                 durationMs: proxyResult.durationMs || proxyDurationTotal,
                 requestType: '代理请求',
                 responseType: responseTypeLabel,
-                model: req.body?.model || null,
+                model: payload?.model || null,
                 clientIp,
                 requestPath,
                 upstreamUrl,
                 proxyInfo: proxyDescriptorForLog,
                 requestId: clientRequestId,
                 clientApiKey,
+                clientKeyId,
                 fullRequestPath
               });
 
@@ -635,44 +1251,39 @@ router.post('/chat/completions', apiAuth, async (req, res) => {
 
               // 处理流式响应
               if (isStreamingRequest && proxyResponse.data) {
-                const streamHeaders = {
-                  'Content-Type': proxyResponse.headers['content-type'] || 'text/event-stream',
-                  'Cache-Control': 'no-cache',
-                  'Connection': 'keep-alive',
-                  'X-Accel-Buffering': 'no'
-                };
-
-                if (proxyResponse.headers['x-request-id']) {
-                  streamHeaders['X-Request-ID'] = proxyResponse.headers['x-request-id'];
-                }
+                const streamHeaders = buildStreamHeaders(proxyResponse, responseMode);
+                const outputStream = attachStreamTransform(trackStreamUsage(apiKeyId, proxyResponse.data), createStreamTransform);
 
-                proxyResponse.data.on('data', (chunk) => {
+                outputStream.on('data', (chunk) => {
                   if (checkClientDisconnected()) {
-                    if (proxyResponse.data && typeof proxyResponse.data.destroy === 'function') {
-                      proxyResponse.data.destroy();
+                    if (typeof outputStream.destroy === 'function') {
+                      outputStream.destroy();
                     }
                     return;
                   }
                   if (!res.headersSent) {
-                    res.writeHead(200, streamHeaders);
+                    res.writeHead(proxyResponse.status || 200, streamHeaders);
                   }
                   try {
                     res.write(chunk);
                   } catch (e) {
-                    if (proxyResponse.data && typeof proxyResponse.data.destroy === 'function') {
-                      proxyResponse.data.destroy();
+                    if (typeof outputStream.destroy === 'function') {
+                      outputStream.destroy();
                     }
                   }
                 });
 
-                proxyResponse.data.on('end', () => {
+                outputStream.on('end', () => {
                   if (!checkClientDisconnected()) {
+                    if (!res.headersSent) {
+                      res.writeHead(proxyResponse.status || 200, streamHeaders);
+                    }
                     res.end();
                     removeDisconnectListeners();
                   }
                 });
 
-                proxyResponse.data.on('error', (err) => {
+                outputStream.on('error', (err) => {
                   console.error(`代理流式响应错误 (API Key ${apiKeyId} ${apiKeyName}):`, err.message);
                   if (!res.headersSent && !checkClientDisconnected()) {
                     try {
@@ -693,8 +1304,8 @@ router.post('/chat/completions', apiAuth, async (req, res) => {
 
                 const stopStreaming = () => {
                   clientDisconnected = true;
-                  if (proxyResponse.data && typeof proxyResponse.data.destroy === 'function') {
-                    proxyResponse.data.destroy();
+                  if (typeof outputStream.destroy === 'function') {
+                    outputStream.destroy();
                   }
                 };
                 req.on('close', stopStreaming);
@@ -704,9 +1315,13 @@ router.post('/chat/completions', apiAuth, async (req, res) => {
                 return; // 流式请求直接返回
               }
 
+              if (onSuccess) {
+                await runSuccessHook(onSuccess, proxyResponse.data, keyInfo);
+              }
+
               // 非流式请求正常完成
               removeDisconnectListeners();
-              return res.json(proxyResponse.data);
+              return res.json(transformResponse ? transformResponse(proxyResponse.data) : proxyResponse.data);
             } else {
               // 代理也失败，继续原有错误处理流程
               console.error(`所有代理都失败，继续原有错误处理流程 (API Key ${apiKeyId} ${apiKeyName})`);
@@ -717,7 +1332,8 @@ router.post('/chat/completions', apiAuth, async (req, res) => {
           // 重要：无论有多少个客户端IP，上游看到的始终是代理服务器本身的IP
           // 当检测到50603错误时，说明代理服务器IP已被上游拉黑，必须立即停止所有操作
           // 拒绝所有后续客户端请求，避免继续转发请求导致上游延长封禁时间
-          if (isBusyError(error)) {
+          // 只有硅基流动会因此拉黑IP，其他供应商的繁忙错误按普通错误处理
+          if (provider.balance_adapter === 'siliconflow' && isBusyError(error)) {
             console.error(`⚠️ 检测到50603错误（系统繁忙），代理服务器IP已被硅基流动拉黑！立即停止所有操作并拒绝后续所有客户端请求 (API Key ${apiKeyId} ${apiKeyName})`);
             
             // 立即记录代理服务器IP拉黑状态（30分钟），后续所有客户端请求将在开始就被拒绝
@@ -835,6 +1451,100 @@ router.post('/chat/completions', apiAuth, async (req, res) => {
             }
           }
           
+          // 与API key无关的上游错误（如参数错误），直接返回给客户端，不重试也不标记key
+          if (error.response && !shouldRotateKey(error)) {
+            if (checkClientDisconnected()) {
+              return;
+            }
+            await db.recordUsage(apiKeyId, false, {
+              request: baseRequestSummary,
+              error: errorDetailObject,
+              proxy: proxyDescriptor
+            }, {
+              statusCode: error.response.status,
+              durationMs,
+              requestType: proxyDescriptor ? '代理请求' : '客户端',
+              responseType: responseTypeLabel,
+              model: payload?.model || null,
+              clientIp,
+              requestPath,
+              upstreamUrl,
+              proxyInfo: proxyDescriptor,
+              requestId: clientRequestId,
+              clientApiKey,
+              clientKeyId,
+              fullRequestPath
+            });
+            removeDisconnectListeners();
+            const errorData = error.response.data;
+            res.status(error.response.status);
+            return typeof errorData === 'string' ? res.send(errorData) : res.json(errorData);
+          }
+
+          // 固定key的请求（如视频任务状态查询）失败时不修改key的状态和可用性，也不查询余额，直接把错误返回给客户端
+          // 否则一次查询失败（如网络超时）就会让提交任务的key退出所有请求的轮换
+          if (pinnedKey) {
+            await db.recordUsage(apiKeyId, false, {
+              request: baseRequestSummary,
+              error: errorDetailObject,
+              proxy: proxyDescriptor
+            }, {
+              statusCode: error.response?.status || null,
+              durationMs,
+              requestType: proxyDescriptor ? '代理请求' : '客户端',
+              responseType: responseTypeLabel,
+              model: payload?.model || null,
+              clientIp,
+              requestPath,
+              upstreamUrl,
+              proxyInfo: proxyDescriptor,
+              requestId: clientRequestId,
+              clientApiKey,
+              clientKeyId,
+              fullRequestPath
+            });
+            removeDisconnectListeners();
+            if (error.response) {
+              const errorData = error.response.data;
+              res.status(error.response.status);
+              return typeof errorData === 'string' ? res.send(errorData) : res.json(errorData);
+            }
+            return res.status(502).json({
+              error: {
+                message: '上游请求失败，请稍后重试',
+                type: 'upstream_error',
+                reason: getErrorMessage(error)
+              }
+            });
+          }
+
+          // 限流的key不标记为异常，也不等待重试，立即切换到下一个key
+          if (rateLimitedUntil) {
+            if (!checkClientDisconnected()) {
+              await db.recordUsage(apiKeyId, false, {
+                request: baseRequestSummary,
+                error: errorDetailObject,
+                proxy: proxyDescriptor
+              }, {
+                statusCode: error.response.status,
+                durationMs,
+                requestType: proxyDescriptor ? '代理请求' : '客户端',
+                responseType: responseTypeLabel,
+                model: payload?.model || null,
+                clientIp,
+                requestPath,
+                upstreamUrl,
+                proxyInfo: proxyDescriptor,
+                requestId: clientRequestId,
+                clientApiKey,
+                clientKeyId,
+                fullRequestPath
+              });
+            }
+            console.log(`API Key ${apiKeyId} (${apiKeyName}) 被上游限流，冷却至 ${new Date(rateLimitedUntil).toLocaleString()}，切换到下一个key`);
+            break;
+          }
+
           // 只有在客户端未断开时才记录错误
           if (!checkClientDisconnected()) {
             await db.recordUsage(apiKeyId, false, {
@@ -846,27 +1556,28 @@ router.post('/chat/completions', apiAuth, async (req, res) => {
               durationMs,
               requestType: proxyDescriptor ? '代理请求' : '客户端',
               responseType: responseTypeLabel,
-              model: req.body?.model || null,
+              model: payload?.model || null,
               clientIp,
               requestPath,
               upstreamUrl,
               proxyInfo: proxyDescriptor,
               requestId: clientRequestId,
               clientApiKey,
+              clientKeyId,
               fullRequestPath
             });
             await markApiKeyStatus(apiKeyId, 'error', errorMessage);
           }
 
           // 如果不是最后一次重试，等待后继续
-          if (retryCount < MAX_RETRIES && !checkClientDisconnected()) {
+          if (retryCount < maxRetriesPerKey && !checkClientDisconnected()) {
             // 在重试前查询余额，判断是否因为欠费导致
             if (checkClientDisconnected()) {
               console.log(`客户端已断开，停止查询余额 (API Key ${apiKeyId} ${apiKeyName})`);
               return;
             }
             console.log(`API Key ${apiKeyId} (${apiKeyName}) 重试前查询余额...`);
-            const balanceInfo = await queryBalance(apiKey);
+            const balanceInfo = await queryBalance(apiKey, keyInfo.provider_id);
             
             if (checkClientDisconnected()) {
               console.log(`客户端已断开，停止处理余额查询结果 (API Key ${apiKeyId} ${apiKeyName})`);
@@ -885,7 +1596,7 @@ router.post('/chat/completions', apiAuth, async (req, res) => {
               if (balanceInfo.balance < 1) {
                 console.log(`API Key ${apiKeyId} (${apiKeyName}) 余额不足 (¥${balanceInfo.balance.toFixed(2)})，切换到下一个key`);
                 await markApiKeyStatus(apiKeyId, 'insufficient', '余额不足');
-                await db.updateApiKeyAvailability(apiKeyId, false);
+                await db.updateApiKeyAvailability(apiKeyId, false, 'balance');
                 await checkAndUpdateAvailability(apiKeyId);
                 lastErrorKeyId = apiKeyId;
                 break; // 跳出重试循环，切换到下一个key
@@ -897,13 +1608,13 @@ router.post('/chat/completions', apiAuth, async (req, res) => {
               console.log(`等待 ${RETRY_DELAY / 1000} 秒后重试 API Key ${apiKeyId} (${apiKeyName})...`);
               // 分段等待，每1秒检查一次客户端连接状态（更频繁检查）
               // 在等待期间，保持当前API密钥ID的更新（用于前端显示）
-              setCurrentApiKeyId(apiKeyId);
+              updateCurrentKeyId(apiKeyId);
               const checkInterval = 1000; // 每1秒检查一次
               const totalChecks = Math.ceil(RETRY_DELAY / checkInterval);
               for (let i = 0; i < totalChecks && !checkClientDisconnected(); i++) {
                 await new Promise(resolve => setTimeout(resolve, checkInterval));
                 // 每次检查时也更新状态
-                setCurrentApiKeyId(apiKeyId);
+                updateCurrentKeyId(apiKeyId);
               }
               if (checkClientDisconnected()) {
                 console.log(`客户端已断开，停止重试 (API Key ${apiKeyId} ${apiKeyName})`);
@@ -916,7 +1627,7 @@ router.post('/chat/completions', apiAuth, async (req, res) => {
           } else {
             // 重试次数用尽，标记为异常状态
             if (!checkClientDisconnected()) {
-            console.log(`API Key ${apiKeyId} (${apiKeyName}) 重试 ${MAX_RETRIES} 次后仍然失败，标记为异常状态`);
+            console.log(`API Key ${apiKeyId} (${apiKeyName}) 重试 ${maxRetriesPerKey} 次后仍然失败，标记为异常状态`);
             await markApiKeyStatus(apiKeyId, 'error', getErrorMessage(error));
             await checkAndUpdateAvailability(apiKeyId);
             lastErrorKeyId = apiKeyId;
@@ -931,7 +1642,7 @@ router.post('/chat/completions', apiAuth, async (req, res) => {
         // 检查之前出错的key的余额
         const errorKeyInfo = await db.getApiKeyById(lastErrorKeyId);
         if (errorKeyInfo && !checkClientDisconnected()) {
-          const balanceInfo = await queryBalance(errorKeyInfo.api_key);
+          const balanceInfo = await queryBalance(errorKeyInfo.api_key, errorKeyInfo.provider_id);
           if (checkClientDisconnected()) {
             console.log(`客户端已断开，停止恢复之前出错的key (API Key ${lastErrorKeyId})`);
             return;
@@ -956,15 +1667,27 @@ router.post('/chat/completions', apiAuth, async (req, res) => {
               const errorKeyName = `${errorKeyInfo.api_key.substring(0, 8)}...${errorKeyInfo.api_key.substring(errorKeyInfo.api_key.length - 4)}`;
               console.log(`API Key ${lastErrorKeyId} (${errorKeyName}) 余额仍然不足，标记为错误状态`);
               await markApiKeyStatus(lastErrorKeyId, 'error', '余额不足');
-              await db.updateApiKeyAvailability(lastErrorKeyId, false);
+              await db.updateApiKeyAvailability(lastErrorKeyId, false, 'balance');
             }
           }
         }
       }
 
+      // 固定key失败时不能切换到其他key，直接返回错误
+      if (!keySuccess && pinnedKey && !checkClientDisconnected()) {
+        removeDisconnectListeners();
+        return res.status(502).json({
+          error: {
+            message: '指定的API密钥请求失败',
+            type: 'upstream_error',
+            reason: lastError ? getErrorMessage(lastError) : '未知错误'
+          }
+        });
+      }
+
       // 如果当前key失败了，切换到下一个
       if (!keySuccess && !checkClientDisconnected()) {
-        keyInfo = await switchToNextApiKey();
+        keyInfo = await switchToNextApiKey(requestModel);
         if (checkClientDisconnected()) {
           console.log(`客户端已断开，停止切换API key`);
           return;
@@ -972,21 +1695,17 @@ router.post('/chat/completions', apiAuth, async (req, res) => {
         if (!keyInfo) {
           if (!checkClientDisconnected()) {
             removeDisconnectListeners(); // 请求已处理完成（虽然是错误），移除断开检测
-            return res.status(503).json({
-              error: {
-                message: '所有API密钥都不可用',
-                type: 'service_unavailable',
-                reason: '所有API密钥都已尝试，但都失败了'
-              }
-            });
+            return sendNoAvailableKeyError(res, '所有API密钥都不可用', '所有API密钥都已尝试，但都失败了', await countSaturatedKeys(requestModel));
           }
           return;
         }
         apiKey = keyInfo.api_key;
         apiKeyId = keyInfo.id;
         apiKeyName = `${apiKey.substring(0, 8)}...${apiKey.substring(apiKey.length - 4)}`;
+        provider = await getProviderForKey(keyInfo);
+        upstreamUrl = buildProviderUrl(provider, upstreamPath);
         // 更新当前使用的API密钥ID（用于前端显示）
-        setCurrentApiKeyId(apiKeyId);
+        updateCurrentKeyId(apiKeyId);
         keyAttempts++;
       }
       // 如果成功，requestSuccess已经是true，循环会自动退出
@@ -1025,6 +1744,261 @@ router.post('/chat/completions', apiAuth, async (req, res) => {
       }
     });
   }
+}
+
+// 转发聊天完成请求
+router.post('/chat/completions', apiAuth, (req, res) => forwardWithFailover(req, res, {
+  upstreamPath: '/chat/completions'
+}));
+
+// 转发文本补全请求（prompt/suffix，FIM代码补全），支持流式
+router.post('/completions', apiAuth, (req, res) => forwardWithFailover(req, res, {
+  upstreamPath: '/completions',
+  summarizeRequest: buildCompletionRequestSummary
+}));
+
+// 转发向量嵌入请求（不支持流式）
+router.post('/embeddings', apiAuth, (req, res) => forwardWithFailover(req, res, {
+  upstreamPath: '/embeddings',
+  isStreaming: false,
+  summarizeRequest: buildEmbeddingRequestSummary,
+  summarizeResponse: buildEmbeddingResponseSummary
+}));
+
+// 转发图片生成请求（Kolors、FLUX等）
+router.post('/images/generations', apiAuth, (req, res) => forwardWithFailover(req, res, {
+  upstreamPath: '/images/generations',
+  isStreaming: false,
+  summarizeRequest: buildImageRequestSummary,
+  summarizeResponse: buildImageResponseSummary
+}));
+
+// 转发语音转文字请求（multipart上传，先写入临时文件再流式转发，支持重试）
+router.post('/audio/transcriptions', apiAuth, async (req, res, next) => {
+  const contentType = req.headers['content-type'] || '';
+  if (!contentType.toLowerCase().startsWith('multipart/form-data')) {
+    return res.status(400).json({
+      error: {
+        message: '请求必须使用 multipart/form-data 格式上传音频文件',
+        type: 'invalid_request',
+        reason: `不支持的Content-Type: ${contentType || '空'}`
+      }
+    });
+  }
+
+  let upload;
+  try {
+    upload = await spoolRequestBody(req);
+  } catch (error) {
+    return next(error);
+  }
+  res.once('close', upload.cleanup);
+
+  return forwardWithFailover(req, res, {
+    upstreamPath: '/audio/transcriptions',
+    payload: upload.fields,
+    isStreaming: false,
+    createRequestBody: upload.createReadStream,
+    requestHeaders: {
+      'Content-Type': upload.contentType,
+      'Content-Length': upload.size
+    },
+    summarizeRequest: () => buildTranscriptionRequestSummary(upload),
+    summarizeResponse: buildTranscriptionResponseSummary
+  });
+});
+
+// 转发文字转语音请求（返回二进制音频，直接透传给客户端）
+router.post('/audio/speech', apiAuth, (req, res) => forwardWithFailover(req, res, {
+  upstreamPath: '/audio/speech',
+  isStreaming: true,
+  responseMode: 'binary',
+  summarizeRequest: buildSpeechRequestSummary
+}));
+
+// 转发重排序请求（bge-reranker等）
+router.post('/rerank', apiAuth, (req, res) => forwardWithFailover(req, res, {
+  upstreamPath: '/rerank',
+  isStreaming: false,
+  summarizeRequest: buildRerankRequestSummary,
+  summarizeResponse: buildRerankResponseSummary
+}));
+
+// Anthropic Messages API 兼容接口：转换为 chat/completions 转发，再把响应转换回 Messages 格式
+router.post('/messages', anthropicErrorFormat, apiAuth, (req, res) => {
+  let payload;
+  try {
+    payload = toChatCompletionsRequest(req.body);
+  } catch (error) {
+    return res.status(400).json({
+      error: {
+        message: error.message,
+        type: 'invalid_request'
+      }
+    });
+  }
+
+  const model = req.body.model;
+  const adapterOptions = {
+    includeThinking: !!(req.body.thinking && req.body.thinking.type === 'enabled')
+  };
+
+  return forwardWithFailover(req, res, {
+    upstreamPath: '/chat/completions',
+    payload,
+    summarizeRequest: (body) => ({ ...buildRequestSummary(body), protocol: 'anthropic' }),
+    transformResponse: (data) => fromChatCompletionResponse(data, model, adapterOptions),
+    createStreamTransform: () => createAnthropicStreamTransform(model, adapterOptions)
+  });
+});
+
+// OpenAI Responses API 兼容接口：转换为 chat/completions 转发，再把响应转换回 Responses 格式
+router.post('/responses', openaiErrorFormat, apiAuth, (req, res) => {
+  let payload;
+  try {
+    payload = responsesToChatRequest(req.body);
+  } catch (error) {
+    return res.status(400).json({
+      error: {
+        message: error.message,
+        type: 'invalid_request'
+      }
+    });
+  }
+
+  return forwardWithFailover(req, res, {
+    upstreamPath: '/chat/completions',
+    payload,
+    summarizeRequest: (body) => ({ ...buildRequestSummary(body), protocol: 'responses' }),
+    transformResponse: (data) => chatToResponsesResponse(data, req.body),
+    createStreamTransform: () => createResponsesStreamTransform(req.body)
+  });
+});
+
+// 提交视频生成任务（异步），记录 requestId 与提交所用API key的对应关系
+router.post('/video/submit', apiAuth, (req, res) => forwardWithFailover(req, res, {
+  upstreamPath: '/video/submit',
+  isStreaming: false,
+  summarizeRequest: buildVideoSubmitRequestSummary,
+  summarizeResponse: buildVideoResponseSummary,
+  onSuccess: async (data, keyInfo) => {
+    if (data && data.requestId) {
+      await db.addVideoJob(data.requestId, keyInfo.id, req.body.model, getClientIp(req), req.clientKey ? req.clientKey.id : null);
+    }
+  }
+}));
+
+// 查询视频生成任务状态：上游只允许提交任务的API key查询，因此固定使用该key
+// 只有提交任务的客户端密钥才能查询（共享密钥提交的任务只能用共享密钥查询），其他客户端按任务不存在处理
+router.post('/video/status', apiAuth, async (req, res) => {
+  const requestId = req.body && req.body.requestId;
+  if (!requestId || typeof requestId !== 'string') {
+    return res.status(400).json({
+      error: {
+        message: '缺少requestId参数',
+        type: 'invalid_request'
+      }
+    });
+  }
+
+  let keyInfo;
+  try {
+    const job = await db.getVideoJob(requestId);
+    const clientKeyId = req.clientKey ? req.clientKey.id : null;
+    if (!job || job.client_key_id !== clientKeyId) {
+      return res.status(404).json({
+        error: {
+          message: `未找到视频任务: ${requestId}`,
+          type: 'not_found',
+          reason: '该任务不是通过本代理、或不是使用当前API密钥提交的'
+        }
+      });
+    }
+    keyInfo = await db.getApiKeyById(job.api_key_id);
+    if (!keyInfo) {
+      return res.status(410).json({
+        error: {
+          message: '提交该任务的API密钥已被删除，无法查询任务状态',
+          type: 'api_key_deleted',
+          reason: `API Key ID ${job.api_key_id} 不存在`
+        }
+      });
+    }
+  } catch (error) {
+    console.error('查询视频任务失败:', error);
+    return res.status(500).json({
+      error: {
+        message: '查询视频任务失败',
+        type: 'internal_error',
+        reason: error.message
+      }
+    });
+  }
+
+  return forwardWithFailover(req, res, {
+    upstreamPath: '/video/status',
+    isStreaming: false,
+    pinnedKey: keyInfo,
+    modelFree: true, // 已校验任务属于当前客户端密钥，提交任务时已检查过模型
+    maxRetriesPerKey: 0,
+    shouldRotateKey: () => false, // 上游错误直接返回，不影响key状态
+    summarizeRequest: (payload) => ({ requestId: payload.requestId }),
+    summarizeResponse: buildVideoResponseSummary,
+    onSuccess: async (data) => {
+      if (data && data.status) {
+        await db.updateVideoJobStatus(requestId, data.status, data.reason, data.results);
+      }
+    }
+  });
+});
+
+// 获取模型列表（OpenAI格式，带缓存）
+router.get('/models', apiAuth, async (req, res) => {
+  try {
+    const result = await getModels({ type: req.query.type, sub_type: req.query.sub_type });
+    // 客户端密钥只能看到允许使用的模型
+    res.json({
+      object: 'list',
+      data: result.models.filter(model => !req.clientKey || isModelAllowed(req.clientKey, model.id))
+    });
+  } catch (error) {
+    console.error('获取模型列表失败:', error.message);
+    res.status(503).json({
+      error: {
+        message: '获取模型列表失败',
+        type: 'service_unavailable',
+        reason: error.message
+      }
+    });
+  }
+});
+
+// 获取单个模型信息（模型ID可能包含斜杠，如 deepseek-ai/DeepSeek-V3）
+router.get('/models/*', apiAuth, async (req, res) => {
+  const modelId = req.params[0];
+  try {
+    const result = await getModels();
+    const model = result.models.find(m => m.id === modelId);
+    if (!model || (req.clientKey && !isModelAllowed(req.clientKey, model.id))) {
+      return res.status(404).json({
+        error: {
+          message: `模型不存在: ${modelId}`,
+          type: 'not_found',
+          reason: '上游模型列表中未找到该模型'
+        }
+      });
+    }
+    res.json(model);
+  } catch (error) {
+    console.error('获取模型信息失败:', error.message);
+    res.status(503).json({
+      error: {
+        message: '获取模型信息失败',
+        type: 'service_unavailable',
+        reason: error.message
+      }
+    });
+  }
 });
 
 // 处理自动查询余额的辅助函数
@@ -1037,7 +2011,7 @@ async function handleAutoQueryBalance(apiKeyId, autoQueryThreshold) {
         // 生成API密钥显示名称（前8位...后4位）
         const apiKeyName = `${keyInfo.api_key.substring(0, 8)}...${keyInfo.api_key.substring(keyInfo.api_key.length - 4)}`;
         console.log(`API Key ${apiKeyId} (${apiKeyName}) 调用次数达到 ${keyInfo.call_count}，触发自动查询余额（阈值: ${autoQueryThreshold}）`);
-        queryBalance(keyInfo.api_key).then(async (balanceInfo) => {
+        queryBalance(keyInfo.api_key, keyInfo.provider_id).then(async (balanceInfo) => {
           if (balanceInfo.success && balanceInfo.balance !== null) {
             await db.updateApiKeyBalance(apiKeyId, balanceInfo.balance);
             
@@ -1045,7 +2019,7 @@ async function handleAutoQueryBalance(apiKeyId, autoQueryThreshold) {
             if (balanceInfo.balance < 1) {
               // 余额<1，标记为不可用
               await markApiKeyStatus(apiKeyId, 'insufficient', '余额不足');
-              await db.updateApiKeyAvailability(apiKeyId, false);
+              await db.updateApiKeyAvailability(apiKeyId, false, 'balance');
               await require('../utils/apiManager').refreshApiKeys();
               console.log(`API Key ${apiKeyId} (${apiKeyName}) 余额不足 (¥${balanceInfo.balance.toFixed(2)})，已标记为不可用`);
             } else {
@@ -1087,4 +2061,107 @@ router.get('/health', async (req, res) => {
   }
 });
 
+// 通用透传：转发其余任意路径和方法到上游（需设置 PASSTHROUGH_ENABLED=true）
+// 必须放在所有具体路由之后
+router.all('*', apiAuth, async (req, res, next) => {
+  if (!PASSTHROUGH_ENABLED) {
+    return res.status(404).json({
+      error: {
+        message: `接口不存在: ${req.method} ${req.path}`,
+        type: 'not_found',
+        reason: '未启用通用透传（PASSTHROUGH_ENABLED）'
+      }
+    });
+  }
+
+  // 通用透传的接口无法判断实际使用的模型（如批量任务的模型写在上传的文件中），限制了模型的客户端密钥不能使用
+  if (req.clientKey && getAllowedModels(req.clientKey)) {
+    return res.status(403).json({
+      error: {
+        message: '该API密钥无权使用通用透传接口',
+        type: 'forbidden',
+        reason: `客户端密钥 ${req.clientKey.name} 限制了可用模型，不能访问未单独实现的上游接口`
+      }
+    });
+  }
+
+  // 黑白名单按解码、规范化后的路径匹配，转发时也使用规范化后的路径
+  const normalized = normalizePassthroughPath(req.path);
+  if (!normalized) {
+    return res.status(400).json({
+      error: {
+        message: `无效的透传路径: ${req.path}`,
+        type: 'invalid_request',
+        reason: '路径中不能包含 . 或 .. 段'
+      }
+    });
+  }
+  const upstreamPath = normalized.encodedPath;
+
+  if (!isPassthroughPathAllowed(normalized.path)) {
+    return res.status(403).json({
+      error: {
+        message: `不允许透传的路径: ${normalized.path}`,
+        type: 'forbidden',
+        reason: '路径不在透传白名单中或已被禁止'
+      }
+    });
+  }
+
+  const method = req.method.toLowerCase();
+  const queryIndex = req.originalUrl.indexOf('?');
+  const queryString = queryIndex === -1 ? '' : req.originalUrl.substring(queryIndex);
+  const contentType = req.headers['content-type'] || '';
+  const hasBody = (!!req.headers['content-length'] && req.headers['content-length'] !== '0') || !!req.headers['transfer-encoding'];
+
+  // 请求体：已被body-parser解析的JSON/表单直接转发，其余内容写入临时文件后流式转发
+  let payload = { model: req.query.model };
+  let createRequestBody = () => undefined;
+  const requestHeaders = {};
+  let bodyInfo = { type: 'none', size: 0 };
+
+  if (req._body) {
+    payload = req.body;
+    if (contentType.includes('application/x-www-form-urlencoded')) {
+      const encoded = new URLSearchParams(req.body).toString();
+      createRequestBody = () => encoded;
+      requestHeaders['Content-Type'] = 'application/x-www-form-urlencoded';
+      bodyInfo = { type: 'form', size: Buffer.byteLength(encoded), model: req.body.model };
+    } else {
+      createRequestBody = () => req.body;
+      bodyInfo = { type: 'json', size: parseInt(req.headers['content-length'] || '0'), model: req.body && req.body.model };
+    }
+  } else if (hasBody) {
+    let upload;
+    try {
+      upload = await spoolRequestBody(req);
+    } catch (error) {
+      return next(error);
+    }
+    res.once('close', upload.cleanup);
+    payload = { model: upload.fields.model || req.query.model };
+    createRequestBody = upload.createReadStream;
+    requestHeaders['Content-Type'] = upload.contentType;
+    requestHeaders['Content-Length'] = upload.size;
+    bodyInfo = { type: 'raw', size: upload.size, model: payload.model };
+  }
+
+  if (req.headers.accept) {
+    requestHeaders['Accept'] = req.headers.accept;
+  }
+
+  return forwardWithFailover(req, res, {
+    upstreamPath: upstreamPath + queryString,
+    method,
+    payload,
+    isStreaming: true,
+    responseMode: 'passthrough',
+    createRequestBody,
+    requestHeaders,
+    maxRetriesPerKey: 0,
+    shouldRotateKey: (error) => PASSTHROUGH_ROTATE_STATUS.includes(error.response.status),
+    summarizeRequest: () => buildPassthroughRequestSummary(req, bodyInfo)
+  });
+});
+
 module.exports = router;
@@ -0,0 +1,80 @@
+// 敏感字段加密（信封加密）
+// 主密钥来自环境变量 DATA_ENCRYPTION_KEY，只用于加密数据密钥（DEK）
+// DEK 随机生成，加密后保存在 settings 表中，用于加密 API key 和代理密码（AES-256-GCM）
+// 更换主密钥时只需重新加密 DEK，不需要重新加密每一行数据
+const crypto = require('crypto');
+
+const PREFIX = 'enc:v1:';
+const ALGORITHM = 'aes-256-gcm';
+const IV_LENGTH = 12;
+const TAG_LENGTH = 16;
+const KEY_LENGTH = 32;
+// 口令形式的主密钥使用固定盐派生，保证同一口令每次得到相同的密钥
+const MASTER_KEY_SALT = 'siliconflow-proxy-master-key';
+
+// 主密钥：32字节的base64字符串直接使用，其他字符串视为口令通过scrypt派生
+function deriveMasterKey(secret) {
+  if (!secret) return null;
+  const trimmed = String(secret).trim();
+  if (/^[A-Za-z0-9+/]{43}=$/.test(trimmed)) {
+    const raw = Buffer.from(trimmed, 'base64');
+    if (raw.length === KEY_LENGTH) return raw;
+  }
+  return crypto.scryptSync(trimmed, MASTER_KEY_SALT, KEY_LENGTH);
+}
+
+function generateDataKey() {
+  return crypto.randomBytes(KEY_LENGTH);
+}
+
+function isEncrypted(value) {
+  return typeof value === 'string' && value.startsWith(PREFIX);
+}
+
+// 加密结果格式：enc:v1:base64(iv + tag + 密文)
+function encrypt(plaintext, key) {
+  const iv = crypto.randomBytes(IV_LENGTH);
+  const cipher = crypto.createCipheriv(ALGORITHM, key, iv);
+  const ciphertext = Buffer.concat([cipher.update(String(plaintext), 'utf8'), cipher.final()]);
+  const tag = cipher.getAuthTag();
+  return PREFIX + Buffer.concat([iv, tag, ciphertext]).toString('base64');
+}
+
+function decrypt(value, key) {
+  const payload = Buffer.from(value.slice(PREFIX.length), 'base64');
+  const iv = payload.subarray(0, IV_LENGTH);
+  const tag = payload.subarray(IV_LENGTH, IV_LENGTH + TAG_LENGTH);
+  const ciphertext = payload.subarray(IV_LENGTH + TAG_LENGTH);
+  const decipher = crypto.createDecipheriv(ALGORITHM, key, iv);
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(ciphertext), decipher.final()]).toString('utf8');
+}
+
+// 用主密钥加密/解密DEK
+function wrapDataKey(dataKey, masterKey) {
+  return encrypt(dataKey.toString('base64'), masterKey);
+}
+
+function unwrapDataKey(wrapped, masterKey) {
+  try {
+    return Buffer.from(decrypt(wrapped, masterKey), 'base64');
+  } catch (error) {
+    throw new Error('无法解密数据密钥，DATA_ENCRYPTION_KEY 与加密数据时使用的主密钥不一致');
+  }
+}
+
+// API key的哈希，用于加密后仍能判断key是否重复
+function hashApiKey(apiKey) {
+  return crypto.createHash('sha256').update(String(apiKey)).digest('hex');
+}
+
+module.exports = {
+  deriveMasterKey,
+  generateDataKey,
+  isEncrypted,
+  encrypt,
+  decrypt,
+  wrapDataKey,
+  unwrapDataKey,
+  hashApiKey
+};
@@ -1,11 +1,30 @@
 const sqlite3 = require('sqlite3').verbose();
 const path = require('path');
+const encryption = require('./encryption');
 
 const DB_PATH = path.join(__dirname, '../data', 'api_keys.db');
+// 加密后的数据密钥（DEK）在settings表中的键名
+const DATA_KEY_SETTING = 'data_encryption_key';
+// 默认上游供应商（硅基流动）的ID，provider_id为空的key都属于该供应商
+const DEFAULT_PROVIDER_ID = 1;
+const DEFAULT_PROVIDER = {
+  name: 'siliconflow',
+  base_url: 'https://api.siliconflow.cn/v1',
+  auth_style: 'bearer',
+  balance_adapter: 'siliconflow',
+  test_model: 'deepseek-ai/DeepSeek-V3.2-Exp'
+};
+// 导入API key时允许写入的字段
+const IMPORT_COLUMNS = [
+  'name', 'owner', 'notes', 'group_name', 'provider_id', 'priority', 'max_concurrency', 'status', 'is_available',
+  'balance', 'balance_checked_at', 'call_count', 'error_count', 'last_error', 'created_at', 'last_used_at'
+];
 
 class Database {
   constructor() {
     this.db = null;
+    // 数据密钥，未启用加密时为null
+    this.dataKey = null;
   }
 
   async init() {
@@ -27,7 +46,12 @@ class Database {
         if (err) {
           reject(new Error(`无法打开数据库文件: ${DB_PATH}。错误: ${err.message}`));
         } else {
-          this.createTables().then(resolve).catch(reject);
+          this.createTables()
+            .then(() => this.seedDefaultProvider())
+            .then(() => this.backfillUsageClientKeyIds())
+            .then(() => this.initEncryption())
+            .then(resolve)
+            .catch(reject);
         }
       });
     });
@@ -39,6 +63,7 @@ class Database {
         `CREATE TABLE IF NOT EXISTS api_keys (
           id INTEGER PRIMARY KEY AUTOINCREMENT,
           api_key TEXT NOT NULL UNIQUE,
+          api_key_hash TEXT,
           status TEXT DEFAULT 'active' CHECK(status IN ('active', 'insufficient', 'error')),
           is_available INTEGER DEFAULT 1 CHECK(is_available IN (0, 1)),
           balance REAL DEFAULT 0,
@@ -47,7 +72,16 @@ class Database {
           created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
           last_used_at DATETIME,
           error_count INTEGER DEFAULT 0,
-          last_error TEXT
+          last_error TEXT,
+          group_name TEXT,
+          name TEXT,
+          owner TEXT,
+          notes TEXT,
+          priority INTEGER DEFAULT 0,
+          provider_id INTEGER,
+          max_concurrency INTEGER,
+          disabled_reason TEXT,
+          FOREIGN KEY (provider_id) REFERENCES providers(id)
         )`,
         `CREATE TABLE IF NOT EXISTS api_usage (
           id INTEGER PRIMARY KEY AUTOINCREMENT,
@@ -90,6 +124,86 @@ class Database {
           activated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
           expires_at DATETIME,
           FOREIGN KEY (active_proxy_id) REFERENCES proxy_config(id)
+        )`,
+        `CREATE TABLE IF NOT EXISTS video_jobs (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          request_id TEXT NOT NULL UNIQUE,
+          api_key_id INTEGER NOT NULL,
+          model TEXT,
+          status TEXT DEFAULT 'Submitted',
+          reason TEXT,
+          result TEXT,
+          client_ip TEXT,
+          client_key_id INTEGER,
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          FOREIGN KEY (api_key_id) REFERENCES api_keys(id)
+        )`,
+        `CREATE TABLE IF NOT EXISTS routing_rules (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          model_pattern TEXT NOT NULL,
+          group_name TEXT NOT NULL,
+          provider_id INTEGER,
+          priority INTEGER DEFAULT 0,
+          enabled INTEGER DEFAULT 1 CHECK(enabled IN (0, 1)),
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          FOREIGN KEY (provider_id) REFERENCES providers(id)
+        )`,
+        `CREATE TABLE IF NOT EXISTS providers (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          name TEXT NOT NULL UNIQUE,
+          base_url TEXT NOT NULL,
+          auth_style TEXT DEFAULT 'bearer' CHECK(auth_style IN ('bearer', 'x-api-key', 'api-key')),
+          balance_adapter TEXT DEFAULT 'none' CHECK(balance_adapter IN ('siliconflow', 'none')),
+          test_model TEXT,
+          enabled INTEGER DEFAULT 1 CHECK(enabled IN (0, 1)),
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        )`,
+        `CREATE TABLE IF NOT EXISTS balance_history (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          api_key_id INTEGER NOT NULL,
+          balance REAL NOT NULL,
+          checked_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          FOREIGN KEY (api_key_id) REFERENCES api_keys(id)
+        )`,
+        `CREATE TABLE IF NOT EXISTS client_keys (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          name TEXT NOT NULL,
+          token_hash TEXT NOT NULL UNIQUE,
+          token_preview TEXT NOT NULL,
+          allowed_models TEXT,
+          request_quota INTEGER,
+          token_quota INTEGER,
+          request_count INTEGER DEFAULT 0,
+          token_count INTEGER DEFAULT 0,
+          expires_at DATETIME,
+          enabled INTEGER DEFAULT 1 CHECK(enabled IN (0, 1)),
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          last_used_at DATETIME
+        )`,
+        `CREATE TABLE IF NOT EXISTS admin_sessions (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          token_hash TEXT NOT NULL UNIQUE,
+          client_ip TEXT,
+          user_agent TEXT,
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          expires_at DATETIME NOT NULL,
+          last_seen_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        )`,
+        `CREATE TABLE IF NOT EXISTS auth_lockouts (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          scope TEXT NOT NULL,
+          client_ip TEXT NOT NULL,
+          failed_count INTEGER DEFAULT 0,
+          lockout_count INTEGER DEFAULT 0,
+          last_failed_at DATETIME,
+          locked_until DATETIME,
+          UNIQUE(scope, client_ip)
+        )`,
+        `CREATE TABLE IF NOT EXISTS settings (
+          key TEXT PRIMARY KEY,
+          value TEXT,
+          updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
         )`
       ];
 
@@ -133,7 +247,24 @@ class Database {
         { sql: `ALTER TABLE api_usage ADD COLUMN proxy_info TEXT`, field: 'usage_proxy_info' },
         { sql: `ALTER TABLE api_usage ADD COLUMN request_id TEXT`, field: 'usage_request_id' },
         { sql: `ALTER TABLE api_usage ADD COLUMN client_api_key TEXT`, field: 'usage_client_api_key' },
-        { sql: `ALTER TABLE api_usage ADD COLUMN full_request_path TEXT`, field: 'usage_full_request_path' }
+        { sql: `ALTER TABLE api_usage ADD COLUMN full_request_path TEXT`, field: 'usage_full_request_path' },
+        { sql: `ALTER TABLE api_usage ADD COLUMN client_key_id INTEGER`, field: 'usage_client_key_id' },
+        { sql: `ALTER TABLE api_keys ADD COLUMN group_name TEXT`, field: 'group_name' },
+        { sql: `ALTER TABLE api_keys ADD COLUMN name TEXT`, field: 'name' },
+        { sql: `ALTER TABLE api_keys ADD COLUMN owner TEXT`, field: 'owner' },
+        { sql: `ALTER TABLE api_keys ADD COLUMN notes TEXT`, field: 'notes' },
+        { sql: `ALTER TABLE api_keys ADD COLUMN priority INTEGER DEFAULT 0`, field: 'priority' },
+        { sql: `ALTER TABLE api_keys ADD COLUMN api_key_hash TEXT`, field: 'api_key_hash' },
+        { sql: `ALTER TABLE api_keys ADD COLUMN provider_id INTEGER`, field: 'provider_id' },
+        { sql: `ALTER TABLE routing_rules ADD COLUMN provider_id INTEGER`, field: 'routing_provider_id' },
+        { sql: `ALTER TABLE api_keys ADD COLUMN max_concurrency INTEGER`, field: 'max_concurrency' },
+        { sql: `ALTER TABLE video_jobs ADD COLUMN client_key_id INTEGER`, field: 'video_client_key_id' },
+        {
+          sql: `ALTER TABLE api_keys ADD COLUMN disabled_reason TEXT`,
+          field: 'disabled_reason',
+          // 旧版本中只有余额不足会把状态设为 insufficient，据此标记已因余额停用的key
+          after: `UPDATE api_keys SET disabled_reason = 'balance' WHERE is_available = 0 AND status = 'insufficient'`
+        }
       ];
       
       let completed = 0;
@@ -149,25 +280,186 @@ class Database {
               console.error(`迁移${migration.field}字段失败:`, err);
             }
           }
-          completed++;
-          if (completed === migrations.length) {
-            resolve();
+          const finish = () => {
+            completed++;
+            if (completed === migrations.length) {
+              resolve();
+            }
+          };
+          if (!err && migration.after) {
+            this.db.run(migration.after, (afterErr) => {
+              if (afterErr) {
+                console.error(`迁移${migration.field}数据失败:`, afterErr);
+              }
+              finish();
+            });
+          } else {
+            finish();
           }
         });
       });
     });
   }
 
-  async addApiKey(apiKey) {
+  // 执行SQL（内部使用，用于需要连续执行多条语句的场景）
+  runQuery(sql, params = []) {
+    return new Promise((resolve, reject) => {
+      this.db.run(sql, params, function(err) {
+        if (err) {
+          reject(err);
+        } else {
+          resolve({ changes: this.changes, lastID: this.lastID });
+        }
+      });
+    });
+  }
+
+  allQuery(sql, params = []) {
+    return new Promise((resolve, reject) => {
+      this.db.all(sql, params, (err, rows) => err ? reject(err) : resolve(rows || []));
+    });
+  }
+
+  // 创建默认的硅基流动供应商（已存在时不修改，保留管理员的配置）
+  async seedDefaultProvider() {
+    await this.runQuery(
+      'INSERT OR IGNORE INTO providers (id, name, base_url, auth_style, balance_adapter, test_model) VALUES (?, ?, ?, ?, ?, ?)',
+      [DEFAULT_PROVIDER_ID, DEFAULT_PROVIDER.name, DEFAULT_PROVIDER.base_url, DEFAULT_PROVIDER.auth_style, DEFAULT_PROVIDER.balance_adapter, DEFAULT_PROVIDER.test_model]
+    );
+  }
+
+  // 旧版本只按脱敏token记录客户端密钥，脱敏值唯一对应一个客户端密钥时补全client_key_id
+  async backfillUsageClientKeyIds() {
+    await this.runQuery(
+      `UPDATE api_usage SET client_key_id = (
+         SELECT id FROM client_keys WHERE token_preview = api_usage.client_api_key
+       )
+       WHERE client_key_id IS NULL AND client_api_key IN (
+         SELECT token_preview FROM client_keys GROUP BY token_preview HAVING COUNT(*) = 1
+       )`
+    );
+  }
+
+  // 初始化敏感字段加密：设置了 DATA_ENCRYPTION_KEY 时加载（或首次生成）数据密钥，并加密已有的明文数据
+  async initEncryption() {
+    const masterKey = encryption.deriveMasterKey(process.env.DATA_ENCRYPTION_KEY);
+    const wrappedKey = await this.getSetting(DATA_KEY_SETTING);
+
+    if (!masterKey) {
+      this.dataKey = null;
+      if (wrappedKey && await this.hasEncryptedData()) {
+        throw new Error('数据库中的API key和代理密码已加密，请设置环境变量 DATA_ENCRYPTION_KEY');
+      }
+    } else if (wrappedKey) {
+      this.dataKey = encryption.unwrapDataKey(wrappedKey, masterKey);
+    } else {
+      this.dataKey = encryption.generateDataKey();
+      await this.setSetting(DATA_KEY_SETTING, encryption.wrapDataKey(this.dataKey, masterKey));
+      console.log('已生成数据加密密钥，API key和代理密码将加密存储');
+    }
+
+    await this.migrateSensitiveFields();
+  }
+
+  async hasEncryptedData() {
+    const rows = await this.allQuery(
+      `SELECT 1 FROM api_keys WHERE api_key LIKE 'enc:%'
+       UNION ALL SELECT 1 FROM proxy_config WHERE password LIKE 'enc:%' LIMIT 1`
+    );
+    return rows.length > 0;
+  }
+
+  // 加密已有的明文API key和代理密码，并补全api_key_hash
+  async migrateSensitiveFields() {
+    let encryptedCount = 0;
+    const keys = await this.allQuery('SELECT id, api_key, api_key_hash FROM api_keys');
+    for (const row of keys) {
+      const needsEncryption = this.dataKey && !encryption.isEncrypted(row.api_key);
+      if (!needsEncryption && row.api_key_hash) continue;
+      const plaintext = this.decryptField(row.api_key);
+      await this.runQuery(
+        'UPDATE api_keys SET api_key = ?, api_key_hash = ? WHERE id = ?',
+        [needsEncryption ? this.encryptField(plaintext) : row.api_key, encryption.hashApiKey(plaintext), row.id]
+      );
+      if (needsEncryption) encryptedCount++;
+    }
+
+    if (this.dataKey) {
+      const proxies = await this.allQuery('SELECT id, password FROM proxy_config WHERE password IS NOT NULL');
+      for (const row of proxies) {
+        if (encryption.isEncrypted(row.password)) continue;
+        await this.runQuery('UPDATE proxy_config SET password = ? WHERE id = ?', [this.encryptField(row.password), row.id]);
+        encryptedCount++;
+      }
+    }
+
+    // 加密后api_key列的唯一约束不再有效，改用哈希判断重复
+    await this.runQuery('CREATE UNIQUE INDEX IF NOT EXISTS idx_api_keys_api_key_hash ON api_keys(api_key_hash)');
+
+    if (encryptedCount > 0) {
+      console.log(`已加密 ${encryptedCount} 条已有的敏感数据`);
+    }
+  }
+
+  // 加密敏感字段（未启用加密时原样返回）
+  encryptField(value) {
+    if (value === null || value === undefined || !this.dataKey) return value;
+    return encryption.encrypt(value, this.dataKey);
+  }
+
+  // 解密敏感字段（明文数据原样返回）
+  decryptField(value) {
+    if (!encryption.isEncrypted(value)) return value;
+    if (!this.dataKey) {
+      throw new Error('数据已加密，但未设置 DATA_ENCRYPTION_KEY');
+    }
+    return encryption.decrypt(value, this.dataKey);
+  }
+
+  // 返回解密指定字段后的行（行为空时原样返回）
+  decryptRow(row, field) {
+    if (!row) return row;
+    return { ...row, [field]: this.decryptField(row[field]) };
+  }
+
+  // 更换主密钥：用新的主密钥重新加密数据密钥，已加密的数据不需要改动
+  async rekeyEncryption(newSecret) {
+    if (!this.dataKey) {
+      throw new Error('当前未启用加密，请先设置 DATA_ENCRYPTION_KEY 并启动一次服务');
+    }
+    const newMasterKey = encryption.deriveMasterKey(newSecret);
+    if (!newMasterKey) {
+      throw new Error('新的主密钥不能为空');
+    }
+    await this.setSetting(DATA_KEY_SETTING, encryption.wrapDataKey(this.dataKey, newMasterKey));
+  }
+
+  // 关闭加密：把所有加密数据还原为明文并删除数据密钥
+  async disableEncryption() {
+    const keys = await this.allQuery('SELECT id, api_key FROM api_keys');
+    for (const row of keys) {
+      if (!encryption.isEncrypted(row.api_key)) continue;
+      await this.runQuery('UPDATE api_keys SET api_key = ? WHERE id = ?', [this.decryptField(row.api_key), row.id]);
+    }
+    const proxies = await this.allQuery('SELECT id, password FROM proxy_config WHERE password IS NOT NULL');
+    for (const row of proxies) {
+      if (!encryption.isEncrypted(row.password)) continue;
+      await this.runQuery('UPDATE proxy_config SET password = ? WHERE id = ?', [this.decryptField(row.password), row.id]);
+    }
+    await this.runQuery('DELETE FROM settings WHERE key = ?', [DATA_KEY_SETTING]);
+    this.dataKey = null;
+  }
+
+  async addApiKey(apiKey, groupName = null, providerId = null) {
     return new Promise((resolve, reject) => {
       this.db.run(
-        'INSERT INTO api_keys (api_key) VALUES (?)',
-        [apiKey],
+        'INSERT INTO api_keys (api_key, api_key_hash, group_name, provider_id) VALUES (?, ?, ?, ?)',
+        [this.encryptField(apiKey), encryption.hashApiKey(apiKey), groupName || null, providerId || null],
         function(err) {
           if (err) {
             reject(err);
           } else {
-            resolve({ id: this.lastID, apiKey });
+            resolve({ id: this.lastID, apiKey, group_name: groupName || null, provider_id: providerId || null });
           }
         }
       );
@@ -189,21 +481,29 @@ class Database {
   async getAllApiKeys() {
     return new Promise((resolve, reject) => {
       this.db.all(
-        'SELECT id, api_key, status, is_available, balance, balance_checked_at, call_count, created_at, last_used_at, error_count, last_error FROM api_keys ORDER BY created_at ASC',
+        'SELECT id, api_key, status, is_available, disabled_reason, balance, balance_checked_at, call_count, created_at, last_used_at, error_count, last_error, group_name, name, owner, notes, priority, provider_id, max_concurrency FROM api_keys ORDER BY priority DESC, created_at ASC',
         [],
         (err, rows) => {
           if (err) {
             reject(err);
           } else {
-            // 隐藏API key的敏感部分，但保留完整key用于复制
-            const safeRows = rows.map(row => ({
-              ...row,
-              full_api_key: row.api_key, // 保存完整的API key用于复制
-              api_key: row.api_key ? `${row.api_key.substring(0, 8)}...${row.api_key.substring(row.api_key.length - 4)}` : '',
-              is_available: row.is_available === 1 || row.is_available === null, // 兼容null值
-              balance: row.balance !== null ? parseFloat(row.balance) : null
-            }));
-            resolve(safeRows);
+            try {
+              // 隐藏API key的敏感部分，但保留完整key用于复制
+              const safeRows = rows.map(row => {
+                const apiKey = this.decryptField(row.api_key);
+                return {
+                  ...row,
+                  full_api_key: apiKey, // 保存完整的API key用于复制
+                  api_key: apiKey ? `${apiKey.substring(0, 8)}...${apiKey.substring(apiKey.length - 4)}` : '',
+                  is_available: row.is_available === 1 || row.is_available === null, // 兼容null值
+                  balance: row.balance !== null ? parseFloat(row.balance) : null,
+                  priority: row.priority || 0
+                };
+              });
+              resolve(safeRows);
+            } catch (error) {
+              reject(error);
+            }
           }
         }
       );
@@ -220,7 +520,11 @@ class Database {
           if (err) {
             reject(err);
           } else {
-            resolve(rows);
+            try {
+              resolve(rows.map(row => this.decryptRow(row, 'api_key')));
+            } catch (error) {
+              reject(error);
+            }
           }
         }
       );
@@ -231,14 +535,19 @@ class Database {
     return new Promise((resolve, reject) => {
       // 只返回可用状态的API keys（is_available = 1 或 null，且 status != 'error'）
       // 兼容null值，因为旧数据可能is_available为null
+      // 按优先级从高到低排序，优先级相同时按创建时间排序
       this.db.all(
-        'SELECT id, api_key, status, created_at, last_used_at FROM api_keys WHERE (is_available = 1 OR is_available IS NULL) AND (status IS NULL OR status != \'error\') ORDER BY created_at ASC',
+        'SELECT id, api_key, status, created_at, last_used_at, group_name, name, priority, provider_id FROM api_keys WHERE (is_available = 1 OR is_available IS NULL) AND (status IS NULL OR status != \'error\') ORDER BY priority DESC, created_at ASC',
         [],
         (err, rows) => {
           if (err) {
             reject(err);
           } else {
-            resolve(rows);
+            try {
+              resolve(rows.map(row => this.decryptRow(row, 'api_key')));
+            } catch (error) {
+              reject(error);
+            }
           }
         }
       );
@@ -254,13 +563,27 @@ class Database {
           if (err) {
             reject(err);
           } else {
-            resolve(row);
+            try {
+              resolve(this.decryptRow(row, 'api_key'));
+            } catch (error) {
+              reject(error);
+            }
           }
         }
       );
     });
   }
 
+  // 一次查询多个API key的完整信息（选择key时使用，避免逐个查询）
+  async getApiKeysByIds(ids) {
+    if (ids.length === 0) return [];
+    const rows = await this.allQuery(
+      `SELECT * FROM api_keys WHERE id IN (${ids.map(() => '?').join(', ')})`,
+      ids
+    );
+    return rows.map(row => this.decryptRow(row, 'api_key'));
+  }
+
   async updateApiKeyStatus(id, status, error = null) {
     return new Promise((resolve, reject) => {
       const updateError = error ? 
@@ -278,20 +601,69 @@ class Database {
   }
 
   async updateApiKeyBalance(id, balance) {
-    return new Promise((resolve, reject) => {
+    await new Promise((resolve, reject) => {
       this.db.run(
         'UPDATE api_keys SET balance = ?, balance_checked_at = CURRENT_TIMESTAMP WHERE id = ?',
         [balance, id],
         (err) => err ? reject(err) : resolve()
       );
     });
+    // 每次查询到的余额都记录到历史表，用于计算消耗速度
+    return new Promise((resolve, reject) => {
+      this.db.run(
+        'INSERT INTO balance_history (api_key_id, balance) VALUES (?, ?)',
+        [id, balance],
+        (err) => err ? reject(err) : resolve()
+      );
+    });
+  }
+
+  // 获取余额历史（按key和时间排序），apiKeyId为空时返回所有key
+  async getBalanceHistory(apiKeyId = null, sinceDays = 7) {
+    return new Promise((resolve, reject) => {
+      const conditions = ['checked_at >= datetime(\'now\', ?)'];
+      const params = [`-${sinceDays} days`];
+      if (apiKeyId) {
+        conditions.push('api_key_id = ?');
+        params.push(apiKeyId);
+      }
+      this.db.all(
+        `SELECT api_key_id, balance, checked_at FROM balance_history WHERE ${conditions.join(' AND ')} ORDER BY api_key_id ASC, checked_at ASC, id ASC`,
+        params,
+        (err, rows) => {
+          if (err) {
+            reject(err);
+          } else {
+            resolve(rows || []);
+          }
+        }
+      );
+    });
+  }
+
+  // 删除超过保留天数的余额历史
+  async pruneBalanceHistory(retentionDays) {
+    return new Promise((resolve, reject) => {
+      this.db.run(
+        'DELETE FROM balance_history WHERE checked_at < datetime(\'now\', ?)',
+        [`-${retentionDays} days`],
+        function(err) {
+          if (err) {
+            reject(err);
+          } else {
+            resolve({ deleted: this.changes });
+          }
+        }
+      );
+    });
   }
 
-  async updateApiKeyAvailability(id, isAvailable) {
+  // disabledReason 记录停用原因（'balance' 表示因余额不足停用），恢复可用时清空
+  async updateApiKeyAvailability(id, isAvailable, disabledReason = null) {
     return new Promise((resolve, reject) => {
       this.db.run(
-        'UPDATE api_keys SET is_available = ? WHERE id = ?',
-        [isAvailable ? 1 : 0, id],
+        'UPDATE api_keys SET is_available = ?, disabled_reason = ? WHERE id = ?',
+        [isAvailable ? 1 : 0, isAvailable ? null : disabledReason, id],
         (err) => err ? reject(err) : resolve()
       );
     });
@@ -320,6 +692,7 @@ class Database {
       proxyInfo = null,
       requestId = null,
       clientApiKey = null,
+      clientKeyId = null,
       fullRequestPath = null
     } = metadata || {};
 
@@ -332,8 +705,8 @@ class Database {
     return new Promise((resolve, reject) => {
       this.db.run(
         `INSERT INTO api_usage 
-          (api_key_id, success, error, status_code, duration_ms, request_type, response_type, model, client_ip, request_path, upstream_url, proxy_info, request_id, client_api_key, full_request_path)
-         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+          (api_key_id, success, error, status_code, duration_ms, request_type, response_type, model, client_ip, request_path, upstream_url, proxy_info, request_id, client_api_key, client_key_id, full_request_path)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
         [
           apiKeyId,
           success ? 1 : 0,
@@ -349,6 +722,7 @@ class Database {
           proxyInfoString,
           requestId,
           clientApiKey,
+          clientKeyId,
           fullRequestPath
         ],
         (err) => {
@@ -504,7 +878,11 @@ class Database {
           if (err) {
             reject(err);
           } else {
-            resolve(rows || []);
+            try {
+              resolve((rows || []).map(row => this.decryptRow(row, 'password')));
+            } catch (error) {
+              reject(error);
+            }
           }
         }
       );
@@ -520,7 +898,11 @@ class Database {
           if (err) {
             reject(err);
           } else {
-            resolve(row || null);
+            try {
+              resolve(row ? this.decryptRow(row, 'password') : null);
+            } catch (error) {
+              reject(error);
+            }
           }
         }
       );
@@ -540,7 +922,7 @@ class Database {
             const nextOrder = (row && row.max_order !== null ? row.max_order + 1 : 0);
             this.db.run(
               'INSERT INTO proxy_config (type, host, port, username, password, order_index, enabled) VALUES (?, ?, ?, ?, ?, ?, 0)',
-              [type, host, port, username || null, password || null, nextOrder],
+              [type, host, port, username || null, this.encryptField(password || null), nextOrder],
               function(err) {
                 if (err) {
                   reject(err);
@@ -559,7 +941,7 @@ class Database {
     return new Promise((resolve, reject) => {
       this.db.run(
         'UPDATE proxy_config SET type = ?, host = ?, port = ?, username = ?, password = ? WHERE id = ?',
-        [type, host, port, username || null, password || null, id],
+        [type, host, port, username || null, this.encryptField(password || null), id],
         function(err) {
           if (err) {
             reject(err);
@@ -655,9 +1037,564 @@ class Database {
       );
     });
   }
+
+  // 设置API key所属分组（null表示不分组）
+  async updateApiKeyGroup(id, groupName) {
+    return new Promise((resolve, reject) => {
+      this.db.run(
+        'UPDATE api_keys SET group_name = ? WHERE id = ?',
+        [groupName || null, id],
+        function(err) {
+          if (err) {
+            reject(err);
+          } else {
+            resolve({ updated: this.changes > 0 });
+          }
+        }
+      );
+    });
+  }
+
+  // 设置API key所属的上游供应商（null表示默认供应商）
+  async updateApiKeyProvider(id, providerId) {
+    return new Promise((resolve, reject) => {
+      this.db.run(
+        'UPDATE api_keys SET provider_id = ? WHERE id = ?',
+        [providerId || null, id],
+        function(err) {
+          if (err) {
+            reject(err);
+          } else {
+            resolve({ updated: this.changes > 0 });
+          }
+        }
+      );
+    });
+  }
+
+  // 更新API key的名称、归属人、备注、优先级和并发上限（只更新传入的字段）
+  async updateApiKeyMetadata(id, fields) {
+    const allowed = ['name', 'owner', 'notes', 'priority', 'max_concurrency'];
+    const columns = allowed.filter(column => fields[column] !== undefined);
+    if (columns.length === 0) {
+      return { updated: false };
+    }
+    return new Promise((resolve, reject) => {
+      this.db.run(
+        `UPDATE api_keys SET ${columns.map(column => `${column} = ?`).join(', ')} WHERE id = ?`,
+        [...columns.map(column => fields[column]), id],
+        function(err) {
+          if (err) {
+            reject(err);
+          } else {
+            resolve({ updated: this.changes > 0 });
+          }
+        }
+      );
+    });
+  }
+
+  // 按完整的key查找（通过哈希匹配，加密存储时同样适用）
+  async findApiKeyByValue(apiKey) {
+    return new Promise((resolve, reject) => {
+      this.db.get(
+        'SELECT * FROM api_keys WHERE api_key_hash = ?',
+        [encryption.hashApiKey(apiKey)],
+        (err, row) => {
+          if (err) {
+            reject(err);
+          } else {
+            try {
+              resolve(this.decryptRow(row, 'api_key'));
+            } catch (error) {
+              reject(error);
+            }
+          }
+        }
+      );
+    });
+  }
+
+  // 导入API key及其元数据（fields 中只允许导入相关的字段）
+  async addImportedApiKey(apiKey, fields) {
+    const columns = IMPORT_COLUMNS.filter(column => fields[column] !== undefined);
+    return new Promise((resolve, reject) => {
+      this.db.run(
+        `INSERT INTO api_keys (api_key, api_key_hash${columns.map(column => `, ${column}`).join('')}) VALUES (?, ?${columns.map(() => ', ?').join('')})`,
+        [this.encryptField(apiKey), encryption.hashApiKey(apiKey), ...columns.map(column => fields[column])],
+        function(err) {
+          if (err) {
+            reject(err);
+          } else {
+            resolve({ id: this.lastID });
+          }
+        }
+      );
+    });
+  }
+
+  // 合并导入的字段到已有的API key
+  async updateImportedApiKey(id, fields) {
+    const columns = IMPORT_COLUMNS.filter(column => fields[column] !== undefined);
+    if (columns.length === 0) {
+      return { updated: false };
+    }
+    return new Promise((resolve, reject) => {
+      this.db.run(
+        `UPDATE api_keys SET ${columns.map(column => `${column} = ?`).join(', ')} WHERE id = ?`,
+        [...columns.map(column => fields[column]), id],
+        function(err) {
+          if (err) {
+            reject(err);
+          } else {
+            resolve({ updated: this.changes > 0 });
+          }
+        }
+      );
+    });
+  }
+
+  // 获取所有分组及其key数量（不分组的key不计入）
+  async getKeyGroups() {
+    return new Promise((resolve, reject) => {
+      this.db.all(
+        `SELECT group_name, COUNT(*) as key_count,
+                SUM(CASE WHEN (is_available = 1 OR is_available IS NULL) AND (status IS NULL OR status != 'error') THEN 1 ELSE 0 END) as available_count
+         FROM api_keys
+         WHERE group_name IS NOT NULL AND group_name != ''
+         GROUP BY group_name
+         ORDER BY group_name ASC`,
+        [],
+        (err, rows) => {
+          if (err) {
+            reject(err);
+          } else {
+            resolve(rows || []);
+          }
+        }
+      );
+    });
+  }
+
+  // 路由规则相关方法（模型名称匹配 -> key分组）
+  async getRoutingRules() {
+    return new Promise((resolve, reject) => {
+      this.db.all(
+        'SELECT id, model_pattern, group_name, provider_id, priority, enabled, created_at FROM routing_rules ORDER BY priority DESC, id ASC',
+        [],
+        (err, rows) => {
+          if (err) {
+            reject(err);
+          } else {
+            resolve(rows || []);
+          }
+        }
+      );
+    });
+  }
+
+  // groupName 为空字符串表示不限制分组（只按供应商路由）
+  async addRoutingRule(modelPattern, groupName, priority = 0, enabled = true, providerId = null) {
+    return new Promise((resolve, reject) => {
+      this.db.run(
+        'INSERT INTO routing_rules (model_pattern, group_name, provider_id, priority, enabled) VALUES (?, ?, ?, ?, ?)',
+        [modelPattern, groupName, providerId || null, priority, enabled ? 1 : 0],
+        function(err) {
+          if (err) {
+            reject(err);
+          } else {
+            resolve({ id: this.lastID, model_pattern: modelPattern, group_name: groupName, provider_id: providerId || null, priority, enabled: enabled ? 1 : 0 });
+          }
+        }
+      );
+    });
+  }
+
+  async updateRoutingRule(id, modelPattern, groupName, priority = 0, enabled = true, providerId = null) {
+    return new Promise((resolve, reject) => {
+      this.db.run(
+        'UPDATE routing_rules SET model_pattern = ?, group_name = ?, provider_id = ?, priority = ?, enabled = ? WHERE id = ?',
+        [modelPattern, groupName, providerId || null, priority, enabled ? 1 : 0, id],
+        function(err) {
+          if (err) {
+            reject(err);
+          } else {
+            resolve({ updated: this.changes > 0 });
+          }
+        }
+      );
+    });
+  }
+
+  async deleteRoutingRule(id) {
+    return new Promise((resolve, reject) => {
+      this.db.run(
+        'DELETE FROM routing_rules WHERE id = ?',
+        [id],
+        function(err) {
+          if (err) {
+            reject(err);
+          } else {
+            resolve({ deleted: this.changes > 0 });
+          }
+        }
+      );
+    });
+  }
+
+  // 上游供应商相关方法
+  async getProviders() {
+    return this.allQuery(
+      `SELECT p.id, p.name, p.base_url, p.auth_style, p.balance_adapter, p.test_model, p.enabled, p.created_at,
+              (SELECT COUNT(*) FROM api_keys k WHERE COALESCE(k.provider_id, ?) = p.id) as key_count
+       FROM providers p
+       ORDER BY p.id ASC`,
+      [DEFAULT_PROVIDER_ID]
+    );
+  }
+
+  async addProvider(fields) {
+    const result = await this.runQuery(
+      'INSERT INTO providers (name, base_url, auth_style, balance_adapter, test_model, enabled) VALUES (?, ?, ?, ?, ?, ?)',
+      [fields.name, fields.base_url, fields.auth_style, fields.balance_adapter, fields.test_model || null, fields.enabled ? 1 : 0]
+    );
+    return { id: result.lastID };
+  }
+
+  async updateProvider(id, fields) {
+    const result = await this.runQuery(
+      'UPDATE providers SET name = ?, base_url = ?, auth_style = ?, balance_adapter = ?, test_model = ?, enabled = ? WHERE id = ?',
+      [fields.name, fields.base_url, fields.auth_style, fields.balance_adapter, fields.test_model || null, fields.enabled ? 1 : 0, id]
+    );
+    return { updated: result.changes > 0 };
+  }
+
+  // 删除供应商：默认供应商不能删除，仍有key或路由规则引用时不能删除
+  async deleteProvider(id) {
+    if (id === DEFAULT_PROVIDER_ID) {
+      throw new Error('默认供应商不能删除');
+    }
+    const rows = await this.allQuery(
+      `SELECT (SELECT COUNT(*) FROM api_keys WHERE provider_id = ?) as key_count,
+              (SELECT COUNT(*) FROM routing_rules WHERE provider_id = ?) as rule_count`,
+      [id, id]
+    );
+    if (rows[0].key_count > 0 || rows[0].rule_count > 0) {
+      throw new Error(`该供应商仍被 ${rows[0].key_count} 个API key和 ${rows[0].rule_count} 条路由规则使用，不能删除`);
+    }
+    const result = await this.runQuery('DELETE FROM providers WHERE id = ?', [id]);
+    return { deleted: result.changes > 0 };
+  }
+
+  // 客户端API密钥（分发给调用方的虚拟key）：只保存token的哈希和用于显示的脱敏值
+  async getClientKeys() {
+    return this.allQuery(
+      `SELECT id, name, token_preview, allowed_models, request_quota, token_quota, request_count, token_count,
+              expires_at, enabled, created_at, last_used_at
+       FROM client_keys
+       ORDER BY id ASC`
+    );
+  }
+
+  async getClientKeyById(id) {
+    const rows = await this.allQuery('SELECT * FROM client_keys WHERE id = ?', [id]);
+    return rows[0] || null;
+  }
+
+  async findClientKeyByHash(tokenHash) {
+    const rows = await this.allQuery('SELECT * FROM client_keys WHERE token_hash = ?', [tokenHash]);
+    return rows[0] || null;
+  }
+
+  async countClientKeys() {
+    const rows = await this.allQuery('SELECT COUNT(*) as count FROM client_keys');
+    return rows[0].count;
+  }
+
+  async addClientKey(fields) {
+    const result = await this.runQuery(
+      `INSERT INTO client_keys (name, token_hash, token_preview, allowed_models, request_quota, token_quota, expires_at, enabled)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+      [fields.name, fields.token_hash, fields.token_preview, fields.allowed_models, fields.request_quota,
+        fields.token_quota, fields.expires_at, fields.enabled ? 1 : 0]
+    );
+    return { id: result.lastID };
+  }
+
+  async updateClientKey(id, fields) {
+    const result = await this.runQuery(
+      `UPDATE client_keys SET name = ?, allowed_models = ?, request_quota = ?, token_quota = ?, expires_at = ?, enabled = ?
+       WHERE id = ?`,
+      [fields.name, fields.allowed_models, fields.request_quota, fields.token_quota, fields.expires_at,
+        fields.enabled ? 1 : 0, id]
+    );
+    return { updated: result.changes > 0 };
+  }
+
+  async deleteClientKey(id) {
+    const result = await this.runQuery('DELETE FROM client_keys WHERE id = ?', [id]);
+    return { deleted: result.changes > 0 };
+  }
+
+  // 预占一次请求配额：计数和配额判断在同一条UPDATE中完成，并发请求不会超出配额；配额已用完时返回false
+  async reserveClientKeyRequest(id) {
+    const result = await this.runQuery(
+      `UPDATE client_keys SET request_count = request_count + 1, last_used_at = CURRENT_TIMESTAMP
+       WHERE id = ? AND (request_quota IS NULL OR request_count < request_quota)`,
+      [id]
+    );
+    return result.changes > 0;
+  }
+
+  // 请求失败时退还预占的配额
+  async releaseClientKeyRequest(id) {
+    await this.runQuery(
+      'UPDATE client_keys SET request_count = MAX(request_count - 1, 0) WHERE id = ?',
+      [id]
+    );
+  }
+
+  async addClientKeyTokens(id, tokens) {
+    await this.runQuery('UPDATE client_keys SET token_count = token_count + ? WHERE id = ?', [tokens, id]);
+  }
+
+  // 重置已用配额（请求数和token数清零）
+  async resetClientKeyUsage(id) {
+    const result = await this.runQuery('UPDATE client_keys SET request_count = 0, token_count = 0 WHERE id = ?', [id]);
+    return { updated: result.changes > 0 };
+  }
+
+  // 按模型汇总某个客户端key的调用记录（按 api_usage.client_key_id 归属，脱敏token可能重复）
+  async getClientKeyUsageSummary(clientKeyId) {
+    return this.allQuery(
+      `SELECT model, COUNT(*) as total, SUM(success) as success_count, MAX(timestamp) as last_used_at
+       FROM api_usage
+       WHERE client_key_id = ?
+       GROUP BY model
+       ORDER BY total DESC`,
+      [clientKeyId]
+    );
+  }
+
+  // 管理员登录会话：只保存会话token的哈希
+  async addAdminSession(tokenHash, expiresAt, clientIp, userAgent) {
+    const result = await this.runQuery(
+      'INSERT INTO admin_sessions (token_hash, expires_at, client_ip, user_agent) VALUES (?, ?, ?, ?)',
+      [tokenHash, expiresAt, clientIp || null, userAgent || null]
+    );
+    return { id: result.lastID };
+  }
+
+  // 查找未过期的会话
+  async findAdminSession(tokenHash) {
+    const rows = await this.allQuery(
+      'SELECT * FROM admin_sessions WHERE token_hash = ? AND expires_at > CURRENT_TIMESTAMP',
+      [tokenHash]
+    );
+    return rows[0] || null;
+  }
+
+  async touchAdminSession(id) {
+    await this.runQuery('UPDATE admin_sessions SET last_seen_at = CURRENT_TIMESTAMP WHERE id = ?', [id]);
+  }
+
+  async getAdminSessions() {
+    return this.allQuery(
+      `SELECT id, client_ip, user_agent, created_at, expires_at, last_seen_at
+       FROM admin_sessions
+       WHERE expires_at > CURRENT_TIMESTAMP
+       ORDER BY last_seen_at DESC`
+    );
+  }
+
+  async deleteAdminSession(id) {
+    const result = await this.runQuery('DELETE FROM admin_sessions WHERE id = ?', [id]);
+    return { deleted: result.changes > 0 };
+  }
+
+  // 撤销所有会话（exceptId 指定的会话除外）
+  async deleteAdminSessions(exceptId = null) {
+    const result = await this.runQuery('DELETE FROM admin_sessions WHERE id != ?', [exceptId || 0]);
+    return { deleted: result.changes };
+  }
+
+  async deleteExpiredAdminSessions() {
+    await this.runQuery('DELETE FROM admin_sessions WHERE expires_at <= CURRENT_TIMESTAMP');
+  }
+
+  // 认证失败记录与锁定：每个IP在每种认证（admin/api）下一条记录
+  async getAuthLockouts() {
+    return this.allQuery('SELECT * FROM auth_lockouts ORDER BY last_failed_at DESC');
+  }
+
+  // 只保留最多 limit 条记录：优先保留锁定中的记录，其次是最近失败的记录
+  async pruneAuthLockouts(limit) {
+    await this.runQuery(
+      `DELETE FROM auth_lockouts WHERE id NOT IN (
+         SELECT id FROM auth_lockouts
+         ORDER BY (locked_until IS NOT NULL AND locked_until > CURRENT_TIMESTAMP) DESC, last_failed_at DESC
+         LIMIT ?
+       )`,
+      [limit]
+    );
+  }
+
+  async getAuthLockoutById(id) {
+    const rows = await this.allQuery('SELECT * FROM auth_lockouts WHERE id = ?', [id]);
+    return rows[0] || null;
+  }
+
+  async saveAuthLockout(scope, clientIp, { failed_count, lockout_count, last_failed_at, locked_until }) {
+    await this.runQuery(
+      `INSERT INTO auth_lockouts (scope, client_ip, failed_count, lockout_count, last_failed_at, locked_until)
+       VALUES (?, ?, ?, ?, ?, ?)
+       ON CONFLICT(scope, client_ip) DO UPDATE SET
+         failed_count = excluded.failed_count,
+         lockout_count = excluded.lockout_count,
+         last_failed_at = excluded.last_failed_at,
+         locked_until = excluded.locked_until`,
+      [scope, clientIp, failed_count, lockout_count, last_failed_at, locked_until]
+    );
+  }
+
+  async deleteAuthLockout(id) {
+    const result = await this.runQuery('DELETE FROM auth_lockouts WHERE id = ?', [id]);
+    return { deleted: result.changes };
+  }
+
+  async deleteAuthLockoutByIp(scope, clientIp) {
+    await this.runQuery('DELETE FROM auth_lockouts WHERE scope = ? AND client_ip = ?', [scope, clientIp]);
+  }
+
+  async deleteAuthLockouts() {
+    const result = await this.runQuery('DELETE FROM auth_lockouts');
+    return { deleted: result.changes };
+  }
+
+  // 清理最后一次失败早于指定时间且已不在锁定中的记录
+  async deleteStaleAuthLockouts(before) {
+    await this.runQuery(
+      'DELETE FROM auth_lockouts WHERE last_failed_at < ? AND (locked_until IS NULL OR locked_until <= CURRENT_TIMESTAMP)',
+      [before]
+    );
+  }
+
+  // 系统设置（键值对）
+  async getSetting(key) {
+    return new Promise((resolve, reject) => {
+      this.db.get(
+        'SELECT value FROM settings WHERE key = ?',
+        [key],
+        (err, row) => {
+          if (err) {
+            reject(err);
+          } else {
+            resolve(row ? row.value : null);
+          }
+        }
+      );
+    });
+  }
+
+  async setSetting(key, value) {
+    return new Promise((resolve, reject) => {
+      this.db.run(
+        `INSERT INTO settings (key, value, updated_at) VALUES (?, ?, CURRENT_TIMESTAMP)
+         ON CONFLICT(key) DO UPDATE SET value = excluded.value, updated_at = CURRENT_TIMESTAMP`,
+        [key, value],
+        (err) => {
+          if (err) {
+            reject(err);
+          } else {
+            resolve();
+          }
+        }
+      );
+    });
+  }
+
+  // 视频任务相关方法（记录提交任务的API key，查询状态时必须使用同一个key）
+  // clientKeyId: 提交任务的虚拟客户端密钥（使用共享密钥提交时为空），只有同一个客户端密钥才能查询任务状态
+  async addVideoJob(requestId, apiKeyId, model, clientIp, clientKeyId = null) {
+    return new Promise((resolve, reject) => {
+      this.db.run(
+        'INSERT OR REPLACE INTO video_jobs (request_id, api_key_id, model, client_ip, client_key_id) VALUES (?, ?, ?, ?, ?)',
+        [requestId, apiKeyId, model || null, clientIp || null, clientKeyId],
+        function(err) {
+          if (err) {
+            reject(err);
+          } else {
+            resolve({ id: this.lastID, request_id: requestId, api_key_id: apiKeyId });
+          }
+        }
+      );
+    });
+  }
+
+  async getVideoJob(requestId) {
+    return new Promise((resolve, reject) => {
+      this.db.get(
+        'SELECT * FROM video_jobs WHERE request_id = ?',
+        [requestId],
+        (err, row) => {
+          if (err) {
+            reject(err);
+          } else {
+            resolve(row || null);
+          }
+        }
+      );
+    });
+  }
+
+  async updateVideoJobStatus(requestId, status, reason, result) {
+    return new Promise((resolve, reject) => {
+      this.db.run(
+        'UPDATE video_jobs SET status = ?, reason = ?, result = ?, updated_at = CURRENT_TIMESTAMP WHERE request_id = ?',
+        [status, reason || null, result ? JSON.stringify(result) : null, requestId],
+        function(err) {
+          if (err) {
+            reject(err);
+          } else {
+            resolve({ updated: this.changes > 0 });
+          }
+        }
+      );
+    });
+  }
+
+  // 获取视频任务列表；pendingOnly 时只返回未结束（非 Succeed/Failed）的任务
+  async getVideoJobs(pendingOnly = true, limit = 100) {
+    const safeLimit = Math.max(1, Math.min(500, parseInt(limit, 10) || 100));
+    return new Promise((resolve, reject) => {
+      this.db.all(
+        `SELECT v.id, v.request_id, v.api_key_id, v.model, v.status, v.reason, v.result,
+                v.client_ip, v.client_key_id, c.name as client_key_name, v.created_at, v.updated_at, k.api_key
+         FROM video_jobs v
+         LEFT JOIN api_keys k ON k.id = v.api_key_id
+         LEFT JOIN client_keys c ON c.id = v.client_key_id
+         ${pendingOnly ? "WHERE v.status NOT IN ('Succeed', 'Failed')" : ''}
+         ORDER BY v.created_at DESC
+         LIMIT ?`,
+        [safeLimit],
+        (err, rows) => {
+          if (err) {
+            reject(err);
+          } else {
+            try {
+              resolve((rows || []).map(row => this.decryptRow(row, 'api_key')));
+            } catch (error) {
+              reject(error);
+            }
+          }
+        }
+      );
+    });
+  }
 }
 
 const db = new Database();
 
 module.exports = db;
+module.exports.DEFAULT_PROVIDER_ID = DEFAULT_PROVIDER_ID;
 
@@ -194,6 +194,7 @@ services:
       - PORT=3838
       - NODE_ENV=production
       - ADMIN_PASSWORD=${admin_password}
+      - CLIENT_API_KEY=${CLIENT_API_KEY:-}
       - AUTO_QUERY_BALANCE_AFTER_CALLS=10
       - UPSTREAM_TIMEOUT_MS=600000
       - CLIENT_SOCKET_TIMEOUT_MS=600000
@@ -90,6 +90,7 @@ function startDevServer() {
     console.log('🚀 启动开发服务器...');
     console.log(`📌 端口: ${PORT}`);
     console.log(`🔑 管理员密码: ${process.env.ADMIN_PASSWORD || '未设置'}`);
+    console.log(`🔑 客户端API密钥: ${process.env.CLIENT_API_KEY || '未设置（设置了管理员密码时转发接口拒绝所有请求）'}`);
     console.log('');
     
     // 使用 nodemon 启动
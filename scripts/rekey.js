@@ -0,0 +1,45 @@
+#!/usr/bin/env node
+
+/**
+ * 更换数据加密主密钥
+ *
+ * 用法：
+ *   DATA_ENCRYPTION_KEY=旧主密钥 NEW_DATA_ENCRYPTION_KEY=新主密钥 node scripts/rekey.js
+ *     用新的主密钥重新加密数据密钥，完成后把 DATA_ENCRYPTION_KEY 改为新主密钥并重启服务
+ *   DATA_ENCRYPTION_KEY=当前主密钥 node scripts/rekey.js --decrypt
+ *     关闭加密，把API key和代理密码还原为明文，完成后删除 DATA_ENCRYPTION_KEY 并重启服务
+ */
+
+// 加载 .env 文件（如果存在）
+require('dotenv').config();
+
+const db = require('../db');
+
+async function main() {
+  const decrypt = process.argv.includes('--decrypt');
+
+  if (!process.env.DATA_ENCRYPTION_KEY) {
+    throw new Error('请通过 DATA_ENCRYPTION_KEY 提供当前的主密钥');
+  }
+  if (!decrypt && !process.env.NEW_DATA_ENCRYPTION_KEY) {
+    throw new Error('请通过 NEW_DATA_ENCRYPTION_KEY 提供新的主密钥');
+  }
+
+  // 初始化时会用当前主密钥解密数据密钥，并加密尚未加密的数据
+  await db.init();
+
+  if (decrypt) {
+    await db.disableEncryption();
+    console.log('✅ 已关闭加密，请删除 DATA_ENCRYPTION_KEY 后重启服务');
+  } else {
+    await db.rekeyEncryption(process.env.NEW_DATA_ENCRYPTION_KEY);
+    console.log('✅ 主密钥已更换，请将 DATA_ENCRYPTION_KEY 改为新的主密钥后重启服务');
+  }
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error('❌ 操作失败:', error.message);
+    process.exit(1);
+  });
@@ -0,0 +1,34 @@
+#!/usr/bin/env node
+
+/**
+ * 重置管理员密码（忘记密码时使用）
+ *
+ * 用法：
+ *   NEW_ADMIN_PASSWORD=新密码 node scripts/reset-admin-password.js
+ *     把数据库中的管理员密码改为新密码，并撤销所有已登录的会话
+ */
+
+// 加载 .env 文件（如果存在）
+require('dotenv').config();
+
+const db = require('../db');
+const adminAuthManager = require('../utils/adminAuthManager');
+
+async function main() {
+  const password = process.env.NEW_ADMIN_PASSWORD;
+  if (!password || password.length < adminAuthManager.MIN_PASSWORD_LENGTH) {
+    throw new Error(`请通过 NEW_ADMIN_PASSWORD 提供新的管理员密码（至少${adminAuthManager.MIN_PASSWORD_LENGTH}个字符）`);
+  }
+
+  await db.init();
+  await adminAuthManager.setPassword(password);
+  const result = await db.deleteAdminSessions();
+  console.log(`✅ 管理员密码已重置，已撤销 ${result.deleted} 个登录会话，运行中的服务无需重启`);
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error('❌ 操作失败:', error.message);
+    process.exit(1);
+  });
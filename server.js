@@ -6,13 +6,21 @@ const path = require('path');
 const db = require('./db');
 const apiProxy = require('./api/proxy');
 const apiManager = require('./api/manager');
+const { openaiErrorFormat } = require('./utils/openaiCompat');
+const { getTrustProxySetting } = require('./utils/clientIp');
 
 const app = express();
 const PORT = process.env.PORT || 3838;
 
+// 部署在反向代理后面时通过 TRUST_PROXY 指定可信代理，req.ip 才会取 X-Forwarded-For 中的客户端IP
+app.set('trust proxy', getTrustProxySetting());
+
 // 中间件
 app.use(cors());
 
+// OpenAI兼容路径的错误响应统一为OpenAI格式（需在body-parser之前，以覆盖请求体解析错误）
+app.use('/v1', openaiErrorFormat);
+
 // 配置 body-parser（请求中断错误由错误处理中间件统一处理）
 // 支持大模型请求，设置较大的请求体限制（100MB）
 app.use(bodyParser.json({ limit: '100mb' }));
@@ -22,6 +30,8 @@ app.use(express.static(path.join(__dirname, 'public')));
 
 // API路由
 app.use('/api/proxy', apiProxy);
+// OpenAI兼容路径：客户端只需将 base_url 设置为 http://host:3838/v1
+app.use('/v1', apiProxy);
 app.use('/api/manage', apiManager);
 
 // 前端页面
@@ -65,7 +75,7 @@ app.use((err, req, res, next) => {
     if (!res.headersSent) {
       return res.status(413).json({ 
         error: { 
-          message: '请求体过大，最大支持100MB',
+          message: `请求体过大，最大支持${Math.floor((err.limit || 100 * 1024 * 1024) / 1024 / 1024)}MB`,
           type: 'payload_too_large' 
         } 
       });
@@ -106,9 +116,16 @@ const apiKeyManager = require('./utils/apiManager');
 
 db.init().then(async () => {
   console.log('数据库初始化完成');
+  // 加载管理员密码哈希（首次启动时迁移 ADMIN_PASSWORD）
+  await require('./utils/adminAuthManager').init();
+  // 加载认证失败的IP锁定记录
+  await require('./utils/authLockoutManager').init();
+  await require('./utils/clientKeyManager').warnIfCredentialsShared();
   // 初始化加载API keys
   await apiKeyManager.loadActiveApiKeys();
   console.log('API keys加载完成');
+  // 启动余额定时刷新
+  await require('./utils/balanceScheduler').start();
   app.listen(PORT, () => {
     console.log(`服务器运行在 http://localhost:${PORT}`);
   });
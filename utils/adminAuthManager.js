@@ -0,0 +1,110 @@
+// 管理员认证：密码以加盐的scrypt哈希保存在数据库settings表中，登录后使用有过期时间的会话token访问管理接口
+// 首次启动时把环境变量 ADMIN_PASSWORD 迁移为哈希，之后以数据库中的密码为准
+const crypto = require('crypto');
+const { promisify } = require('util');
+const db = require('../db');
+const { hashApiKey } = require('../db/encryption');
+
+const scrypt = promisify(crypto.scrypt);
+
+const PASSWORD_HASH_SETTING = 'admin_password_hash';
+const SCRYPT_PARAMS = { N: 16384, r: 8, p: 1 };
+const SCRYPT_KEY_LENGTH = 64;
+const MIN_PASSWORD_LENGTH = 8;
+// 会话有效期（小时）
+const SESSION_TTL_HOURS = Math.max(1, parseInt(process.env.ADMIN_SESSION_TTL_HOURS, 10) || 24);
+// 会话最后访问时间的更新间隔，避免前端轮询时频繁写库
+const SESSION_TOUCH_INTERVAL_MS = 60 * 1000;
+
+// 哈希格式：scrypt$N$r$p$盐(base64)$哈希(base64)
+async function hashPassword(password) {
+  const salt = crypto.randomBytes(16);
+  const derived = await scrypt(String(password), salt, SCRYPT_KEY_LENGTH, SCRYPT_PARAMS);
+  const { N, r, p } = SCRYPT_PARAMS;
+  return `scrypt$${N}$${r}$${p}$${salt.toString('base64')}$${derived.toString('base64')}`;
+}
+
+async function verifyPasswordHash(password, stored) {
+  const parts = String(stored || '').split('$');
+  if (parts.length !== 6 || parts[0] !== 'scrypt') return false;
+  const [, N, r, p, salt, hash] = parts;
+  const expected = Buffer.from(hash, 'base64');
+  const derived = await scrypt(String(password), Buffer.from(salt, 'base64'), expected.length, {
+    N: Number(N),
+    r: Number(r),
+    p: Number(p)
+  });
+  return crypto.timingSafeEqual(derived, expected);
+}
+
+// 每次从数据库读取密码哈希，重置密码脚本修改后运行中的服务立即生效
+async function getPasswordHash() {
+  return db.getSetting(PASSWORD_HASH_SETTING);
+}
+
+// 启动时检查密码哈希；数据库中还没有密码时迁移 ADMIN_PASSWORD
+async function init() {
+  let passwordHash = await getPasswordHash();
+  const envPassword = process.env.ADMIN_PASSWORD;
+
+  if (!passwordHash && envPassword) {
+    passwordHash = await hashPassword(envPassword);
+    await db.setSetting(PASSWORD_HASH_SETTING, passwordHash);
+    console.log('已把 ADMIN_PASSWORD 迁移为数据库中的密码哈希，之后修改管理员密码请使用管理界面');
+  } else if (passwordHash && envPassword && !(await verifyPasswordHash(envPassword, passwordHash))) {
+    console.warn('⚠️ ADMIN_PASSWORD 与数据库中保存的管理员密码不一致，以数据库为准（忘记密码可运行 npm run reset-admin-password）');
+  }
+
+  await db.deleteExpiredAdminSessions();
+}
+
+// 未设置管理员密码时管理接口不需要认证
+async function isPasswordRequired() {
+  return !!(await getPasswordHash());
+}
+
+async function verifyPassword(password) {
+  const passwordHash = await getPasswordHash();
+  if (!passwordHash || typeof password !== 'string') return false;
+  return verifyPasswordHash(password, passwordHash);
+}
+
+async function setPassword(password) {
+  await db.setSetting(PASSWORD_HASH_SETTING, await hashPassword(password));
+}
+
+function toDbTime(time) {
+  return new Date(time).toISOString().replace('T', ' ').substring(0, 19);
+}
+
+// 创建会话，返回完整token（只返回这一次）和过期时间
+async function createSession({ clientIp, userAgent } = {}) {
+  const token = crypto.randomBytes(32).toString('hex');
+  const expiresAt = toDbTime(Date.now() + SESSION_TTL_HOURS * 60 * 60 * 1000);
+  const session = await db.addAdminSession(hashApiKey(token), expiresAt, clientIp, String(userAgent || '').substring(0, 200));
+  await db.deleteExpiredAdminSessions();
+  return { id: session.id, token, expires_at: expiresAt };
+}
+
+// 校验会话token，有效时返回会话记录
+async function validateSession(token) {
+  if (!token) return null;
+  const session = await db.findAdminSession(hashApiKey(token));
+  if (!session) return null;
+  const lastSeen = Date.parse(`${String(session.last_seen_at).replace(' ', 'T')}Z`);
+  if (!lastSeen || Date.now() - lastSeen > SESSION_TOUCH_INTERVAL_MS) {
+    await db.touchAdminSession(session.id);
+  }
+  return session;
+}
+
+module.exports = {
+  MIN_PASSWORD_LENGTH,
+  SESSION_TTL_HOURS,
+  init,
+  isPasswordRequired,
+  verifyPassword,
+  setPassword,
+  createSession,
+  validateSession
+};
@@ -0,0 +1,445 @@
+const { Transform } = require('stream');
+const { wrapErrorResponses } = require('./openaiCompat');
+
+// Anthropic Messages API 兼容层
+// 请求：Messages -> Chat Completions；响应：Chat Completions（JSON/SSE）-> Messages
+
+const STOP_REASON_MAP = {
+  stop: 'end_turn',
+  length: 'max_tokens',
+  tool_calls: 'tool_use',
+  function_call: 'tool_use',
+  content_filter: 'refusal'
+};
+
+function mapStopReason(finishReason) {
+  if (!finishReason) return null;
+  return STOP_REASON_MAP[finishReason] || 'end_turn';
+}
+
+function generateId(prefix) {
+  return `${prefix}_${Date.now().toString(36)}${Math.random().toString(36).slice(2, 10)}`;
+}
+
+function blocksToText(blocks) {
+  if (typeof blocks === 'string') return blocks;
+  if (!Array.isArray(blocks)) return '';
+  return blocks
+    .filter(block => block && block.type === 'text')
+    .map(block => block.text || '')
+    .join('\n');
+}
+
+function convertImageBlock(block) {
+  const source = block.source || {};
+  if (source.type === 'base64') {
+    return { type: 'image_url', image_url: { url: `data:${source.media_type};base64,${source.data}` } };
+  }
+  if (source.type === 'url') {
+    return { type: 'image_url', image_url: { url: source.url } };
+  }
+  return null;
+}
+
+// 转换单条Anthropic消息，可能生成多条Chat消息（tool_result需拆分为role=tool的消息）
+function convertMessage(message) {
+  const { role, content } = message;
+  if (typeof content === 'string') {
+    return [{ role, content }];
+  }
+  if (!Array.isArray(content)) {
+    return [{ role, content: '' }];
+  }
+
+  if (role === 'assistant') {
+    const text = blocksToText(content);
+    const toolCalls = content
+      .filter(block => block.type === 'tool_use')
+      .map(block => ({
+        id: block.id,
+        type: 'function',
+        function: {
+          name: block.name,
+          arguments: JSON.stringify(block.input || {})
+        }
+      }));
+    const result = { role: 'assistant', content: text || null };
+    if (toolCalls.length > 0) {
+      result.tool_calls = toolCalls;
+    }
+    return [result];
+  }
+
+  // user消息：tool_result单独成为tool消息，其余内容合并为一条user消息
+  const results = [];
+  const parts = [];
+  for (const block of content) {
+    if (!block) continue;
+    if (block.type === 'tool_result') {
+      const resultContent = typeof block.content === 'string' ? block.content : blocksToText(block.content);
+      results.push({
+        role: 'tool',
+        tool_call_id: block.tool_use_id,
+        content: block.is_error ? `[错误] ${resultContent}` : resultContent
+      });
+    } else if (block.type === 'text') {
+      parts.push({ type: 'text', text: block.text || '' });
+    } else if (block.type === 'image') {
+      const image = convertImageBlock(block);
+      if (image) parts.push(image);
+    }
+  }
+
+  if (parts.length > 0) {
+    const onlyText = parts.every(part => part.type === 'text');
+    results.push({
+      role,
+      content: onlyText ? parts.map(part => part.text).join('\n') : parts
+    });
+  }
+  return results;
+}
+
+function convertToolChoice(toolChoice) {
+  if (!toolChoice) return undefined;
+  switch (toolChoice.type) {
+    case 'auto':
+      return 'auto';
+    case 'any':
+      return 'required';
+    case 'none':
+      return 'none';
+    case 'tool':
+      return { type: 'function', function: { name: toolChoice.name } };
+    default:
+      return undefined;
+  }
+}
+
+// Anthropic Messages 请求 -> Chat Completions 请求
+function toChatCompletionsRequest(body) {
+  if (!body || typeof body !== 'object') {
+    throw new Error('请求体必须是JSON对象');
+  }
+  if (!body.model) {
+    throw new Error('缺少model参数');
+  }
+  if (!Array.isArray(body.messages)) {
+    throw new Error('messages必须是数组');
+  }
+
+  const messages = [];
+  const systemText = blocksToText(body.system);
+  if (systemText) {
+    messages.push({ role: 'system', content: systemText });
+  }
+  for (const message of body.messages) {
+    messages.push(...convertMessage(message));
+  }
+
+  const payload = {
+    model: body.model,
+    messages,
+    stream: body.stream === true
+  };
+  if (body.max_tokens !== undefined) payload.max_tokens = body.max_tokens;
+  if (body.temperature !== undefined) payload.temperature = body.temperature;
+  if (body.top_p !== undefined) payload.top_p = body.top_p;
+  if (body.top_k !== undefined) payload.top_k = body.top_k;
+  if (Array.isArray(body.stop_sequences) && body.stop_sequences.length > 0) {
+    payload.stop = body.stop_sequences;
+  }
+  if (Array.isArray(body.tools) && body.tools.length > 0) {
+    payload.tools = body.tools.map(tool => ({
+      type: 'function',
+      function: {
+        name: tool.name,
+        description: tool.description,
+        parameters: tool.input_schema || { type: 'object', properties: {} }
+      }
+    }));
+    const toolChoice = convertToolChoice(body.tool_choice);
+    if (toolChoice) payload.tool_choice = toolChoice;
+  }
+  if (payload.stream) {
+    // 让上游在最后一个chunk中返回token用量
+    payload.stream_options = { include_usage: true };
+  }
+  return payload;
+}
+
+function parseToolArguments(args) {
+  if (!args) return {};
+  if (typeof args === 'object') return args;
+  try {
+    return JSON.parse(args);
+  } catch (error) {
+    return { _raw: args };
+  }
+}
+
+// Chat Completions 响应 -> Anthropic Messages 响应
+function fromChatCompletionResponse(data, requestModel, { includeThinking = false } = {}) {
+  const choice = (data && Array.isArray(data.choices) && data.choices[0]) || {};
+  const message = choice.message || {};
+  const content = [];
+
+  if (includeThinking && message.reasoning_content) {
+    content.push({ type: 'thinking', thinking: message.reasoning_content, signature: '' });
+  }
+  const text = typeof message.content === 'string' ? message.content : blocksToText(message.content);
+  if (text) {
+    content.push({ type: 'text', text });
+  }
+  if (Array.isArray(message.tool_calls)) {
+    for (const toolCall of message.tool_calls) {
+      content.push({
+        type: 'tool_use',
+        id: toolCall.id || generateId('toolu'),
+        name: toolCall.function ? toolCall.function.name : '',
+        input: parseToolArguments(toolCall.function && toolCall.function.arguments)
+      });
+    }
+  }
+
+  const usage = (data && data.usage) || {};
+  return {
+    id: data && data.id ? `msg_${data.id}` : generateId('msg'),
+    type: 'message',
+    role: 'assistant',
+    model: (data && data.model) || requestModel,
+    content,
+    stop_reason: mapStopReason(choice.finish_reason) || 'end_turn',
+    stop_sequence: null,
+    usage: {
+      input_tokens: usage.prompt_tokens || 0,
+      output_tokens: usage.completion_tokens || 0
+    }
+  };
+}
+
+function formatEvent(event, data) {
+  return `event: ${event}\ndata: ${JSON.stringify(data)}\n\n`;
+}
+
+// Chat Completions SSE -> Anthropic Messages SSE
+function createAnthropicStreamTransform(requestModel, { includeThinking = false } = {}) {
+  let buffer = '';
+  let started = false;
+  let finished = false;
+  let blockIndex = -1;
+  let currentBlock = null; // 'thinking' | 'text' | 'tool'
+  let stopReason = null;
+  let usage = { input_tokens: 0, output_tokens: 0 };
+  const toolBlocks = new Map(); // 上游tool_call index -> 对应的content block index
+  let openToolBlocks = []; // 尚未关闭的工具调用块
+
+  const transform = new Transform({
+    transform(chunk, encoding, callback) {
+      buffer += chunk.toString('utf8');
+      const lines = buffer.split('\n');
+      buffer = lines.pop();
+      for (const line of lines) {
+        handleLine(this, line.trim());
+      }
+      callback();
+    },
+    flush(callback) {
+      if (buffer.trim()) {
+        handleLine(this, buffer.trim());
+      }
+      finish(this);
+      callback();
+    }
+  });
+
+  function ensureStarted(stream, chunk) {
+    if (started) return;
+    started = true;
+    stream.push(formatEvent('message_start', {
+      type: 'message_start',
+      message: {
+        id: chunk && chunk.id ? `msg_${chunk.id}` : generateId('msg'),
+        type: 'message',
+        role: 'assistant',
+        model: (chunk && chunk.model) || requestModel,
+        content: [],
+        stop_reason: null,
+        stop_sequence: null,
+        usage: { input_tokens: 0, output_tokens: 0 }
+      }
+    }));
+  }
+
+  function closeBlock(stream) {
+    if (currentBlock === null) return;
+    const indexes = currentBlock === 'tool' ? openToolBlocks : [blockIndex];
+    for (const index of indexes) {
+      stream.push(formatEvent('content_block_stop', { type: 'content_block_stop', index }));
+    }
+    openToolBlocks = [];
+    currentBlock = null;
+  }
+
+  // 并行的工具调用参数可能交错输出，工具调用块保持打开，直到出现其他类型的内容或消息结束时一起关闭
+  function openBlock(stream, type, contentBlock) {
+    if (type !== 'tool' || currentBlock !== 'tool') {
+      closeBlock(stream);
+    }
+    blockIndex++;
+    currentBlock = type;
+    if (type === 'tool') {
+      openToolBlocks.push(blockIndex);
+    }
+    stream.push(formatEvent('content_block_start', {
+      type: 'content_block_start',
+      index: blockIndex,
+      content_block: contentBlock
+    }));
+  }
+
+  function handleLine(stream, line) {
+    if (!line.startsWith('data:')) return;
+    const data = line.substring(5).trim();
+    if (!data) return;
+    if (data === '[DONE]') {
+      finish(stream);
+      return;
+    }
+
+    let chunk;
+    try {
+      chunk = JSON.parse(data);
+    } catch (error) {
+      return;
+    }
+
+    ensureStarted(stream, chunk);
+
+    if (chunk.usage) {
+      usage = {
+        input_tokens: chunk.usage.prompt_tokens || 0,
+        output_tokens: chunk.usage.completion_tokens || 0
+      };
+    }
+
+    const choice = Array.isArray(chunk.choices) ? chunk.choices[0] : null;
+    if (!choice) return;
+    const delta = choice.delta || {};
+
+    if (includeThinking && delta.reasoning_content) {
+      if (currentBlock !== 'thinking') {
+        openBlock(stream, 'thinking', { type: 'thinking', thinking: '' });
+      }
+      stream.push(formatEvent('content_block_delta', {
+        type: 'content_block_delta',
+        index: blockIndex,
+        delta: { type: 'thinking_delta', thinking: delta.reasoning_content }
+      }));
+    }
+
+    if (delta.content) {
+      if (currentBlock !== 'text') {
+        openBlock(stream, 'text', { type: 'text', text: '' });
+      }
+      stream.push(formatEvent('content_block_delta', {
+        type: 'content_block_delta',
+        index: blockIndex,
+        delta: { type: 'text_delta', text: delta.content }
+      }));
+    }
+
+    if (Array.isArray(delta.tool_calls)) {
+      for (const toolCall of delta.tool_calls) {
+        const toolIndex = toolCall.index !== undefined ? toolCall.index : 0;
+        if (!toolBlocks.has(toolIndex)) {
+          openBlock(stream, 'tool', {
+            type: 'tool_use',
+            id: toolCall.id || generateId('toolu'),
+            name: toolCall.function ? toolCall.function.name : '',
+            input: {}
+          });
+          toolBlocks.set(toolIndex, blockIndex);
+        }
+        const toolBlockIndex = toolBlocks.get(toolIndex);
+        const partialJson = toolCall.function && toolCall.function.arguments;
+        if (partialJson && openToolBlocks.includes(toolBlockIndex)) {
+          stream.push(formatEvent('content_block_delta', {
+            type: 'content_block_delta',
+            index: toolBlockIndex,
+            delta: { type: 'input_json_delta', partial_json: partialJson }
+          }));
+        }
+      }
+    }
+
+    if (choice.finish_reason) {
+      stopReason = mapStopReason(choice.finish_reason);
+    }
+  }
+
+  function finish(stream) {
+    if (finished) return;
+    finished = true;
+    ensureStarted(stream, null);
+    closeBlock(stream);
+    stream.push(formatEvent('message_delta', {
+      type: 'message_delta',
+      delta: { stop_reason: stopReason || 'end_turn', stop_sequence: null },
+      // message_start 发出时还没有用量，prompt token 数随最终用量一起放在这里
+      usage: { input_tokens: usage.input_tokens, output_tokens: usage.output_tokens }
+    }));
+    stream.push(formatEvent('message_stop', { type: 'message_stop' }));
+  }
+
+  return transform;
+}
+
+function getAnthropicErrorType(statusCode) {
+  if (statusCode === 401) return 'authentication_error';
+  if (statusCode === 403) return 'permission_error';
+  if (statusCode === 404) return 'not_found_error';
+  if (statusCode === 413) return 'request_too_large';
+  if (statusCode === 429) return 'rate_limit_error';
+  if (statusCode === 503 || statusCode === 529) return 'overloaded_error';
+  if (statusCode >= 500) return 'api_error';
+  return 'invalid_request_error';
+}
+
+function toAnthropicError(statusCode, body) {
+  let source = body;
+  if (body && typeof body === 'object' && body.error) {
+    source = typeof body.error === 'object' ? body.error : { message: String(body.error) };
+  } else if (typeof body === 'string') {
+    source = { message: body };
+  } else if (!body || typeof body !== 'object') {
+    source = {};
+  }
+
+  let message = source.message || source.msg || `请求失败 (HTTP ${statusCode})`;
+  if (source.reason && source.reason !== message) {
+    message = `${message}（${source.reason}）`;
+  }
+
+  return {
+    type: 'error',
+    error: {
+      type: getAnthropicErrorType(statusCode),
+      message: String(message)
+    }
+  };
+}
+
+// Anthropic兼容路由的错误响应统一为 { type: 'error', error: { type, message } }
+function anthropicErrorFormat(req, res, next) {
+  res.locals.errorFormatter = toAnthropicError;
+  wrapErrorResponses(res);
+  next();
+}
+
+module.exports = {
+  toChatCompletionsRequest,
+  fromChatCompletionResponse,
+  createAnthropicStreamTransform,
+  anthropicErrorFormat
+};
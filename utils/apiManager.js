@@ -1,12 +1,40 @@
 const axios = require('axios');
 const db = require('../db');
-
-const SILICONFLOW_BASE_URL = 'https://api.siliconflow.cn/v1';
+const { isThrottled, isSaturated } = require('./keyUsageTracker');
+const {
+  DEFAULT_PROVIDER_ID,
+  ensureProvidersLoaded,
+  getCachedProvider,
+  getProviderById,
+  isProviderEnabled,
+  buildProviderUrl,
+  buildAuthHeaders
+} = require('./providerManager');
 
 // 当前使用的API key（按创建时间顺序，从最早的开始）
 let currentApiKeyId = null;
 let activeApiKeys = [];
 
+// API key选择策略
+const SELECTION_STRATEGIES = {
+  sticky: '固定使用（当前key失败后才切换）',
+  round_robin: '轮询',
+  lru: '最久未使用优先',
+  balance_weighted: '按余额加权随机',
+  random: '随机'
+};
+const SELECTION_STRATEGY_SETTING = 'key_selection_strategy';
+const DEFAULT_SELECTION_STRATEGY = SELECTION_STRATEGIES[process.env.KEY_SELECTION_STRATEGY]
+  ? process.env.KEY_SELECTION_STRATEGY
+  : 'sticky';
+let selectionStrategy = null; // 首次使用时从数据库加载
+let roundRobinLastId = null;
+const lastSelectedAt = new Map(); // key ID -> 最近一次被选中的时间（LRU策略使用，避免并发请求选中同一个key）
+let lastSelectionTime = 0;
+
+// 模型路由规则缓存（按优先级排序，只包含启用的规则）
+let routingRules = null;
+
 // 初始化：加载所有活跃的API keys
 async function loadActiveApiKeys() {
   activeApiKeys = await db.getActiveApiKeys();
@@ -20,8 +48,148 @@ async function loadActiveApiKeys() {
   return activeApiKeys;
 }
 
+// 密钥是否可用：is_available=1 且 status不是'error'（允许'active'或'insufficient'）
+// 且未处于限流冷却中、未达到RPM/TPM上限，所属供应商已启用
+function isKeyAvailable(keyInfo) {
+  return !!keyInfo &&
+    (keyInfo.is_available === 1 || keyInfo.is_available === null) &&
+    keyInfo.status !== 'error' &&
+    !isThrottled(keyInfo.id) &&
+    isProviderEnabled(getCachedProvider(keyInfo.provider_id));
+}
+
+// 可以选择的密钥：可用且进行中的请求数未达到并发上限（已满的key视为繁忙，选择下一个key）
+function isKeyUsable(keyInfo) {
+  return isKeyAvailable(keyInfo) && !isSaturated(keyInfo.id, keyInfo.max_concurrency);
+}
+
+// 获取当前选择策略（首次调用时从数据库读取，未设置则使用环境变量或默认的 sticky）
+async function getSelectionStrategy() {
+  if (selectionStrategy) return selectionStrategy;
+  try {
+    const saved = await db.getSetting(SELECTION_STRATEGY_SETTING);
+    selectionStrategy = SELECTION_STRATEGIES[saved] ? saved : DEFAULT_SELECTION_STRATEGY;
+  } catch (error) {
+    console.error('读取API key选择策略失败:', error);
+    return DEFAULT_SELECTION_STRATEGY;
+  }
+  return selectionStrategy;
+}
+
+// 设置选择策略并保存到数据库
+async function setSelectionStrategy(strategy) {
+  if (!SELECTION_STRATEGIES[strategy]) {
+    throw new Error(`不支持的选择策略: ${strategy}`);
+  }
+  await db.setSetting(SELECTION_STRATEGY_SETTING, strategy);
+  selectionStrategy = strategy;
+  roundRobinLastId = null;
+  console.log(`API key选择策略已切换为: ${strategy}（${SELECTION_STRATEGIES[strategy]}）`);
+}
+
+function getSelectionStrategies() {
+  return Object.entries(SELECTION_STRATEGIES).map(([name, label]) => ({ name, label }));
+}
+
+// 按策略从可用key中选出一个（candidates 为按创建时间排序的完整key信息）
+function pickKeyByStrategy(strategy, candidates) {
+  switch (strategy) {
+    case 'round_robin': {
+      const lastIndex = roundRobinLastId === null
+        ? -1
+        : activeApiKeys.findIndex(k => k.id === roundRobinLastId);
+      // 从上次选中key在列表中的下一个位置开始，找到第一个可用的key
+      for (let i = 1; i <= activeApiKeys.length; i++) {
+        const id = activeApiKeys[(lastIndex + i) % activeApiKeys.length].id;
+        const candidate = candidates.find(k => k.id === id);
+        if (candidate) return candidate;
+      }
+      return candidates[0];
+    }
+    case 'lru': {
+      const lastUsed = (key) => {
+        const selected = lastSelectedAt.get(key.id) || 0;
+        const used = key.last_used_at ? new Date(`${key.last_used_at.replace(' ', 'T')}Z`).getTime() : 0;
+        return Math.max(selected, used || 0);
+      };
+      return candidates.reduce((oldest, key) => (lastUsed(key) < lastUsed(oldest) ? key : oldest));
+    }
+    case 'balance_weighted': {
+      const weights = candidates.map(key => Math.max(0, parseFloat(key.balance) || 0));
+      const total = weights.reduce((sum, weight) => sum + weight, 0);
+      if (total <= 0) {
+        // 余额都未知或为0时退化为随机
+        return candidates[Math.floor(Math.random() * candidates.length)];
+      }
+      let point = Math.random() * total;
+      for (let i = 0; i < candidates.length; i++) {
+        point -= weights[i];
+        if (point < 0) return candidates[i];
+      }
+      return candidates[candidates.length - 1];
+    }
+    case 'random':
+      return candidates[Math.floor(Math.random() * candidates.length)];
+    default:
+      return candidates[0];
+  }
+}
+
+// 模型名称规则转为正则：支持 * 通配符，不区分大小写
+function patternToRegExp(pattern) {
+  const escaped = pattern.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*');
+  return new RegExp(`^${escaped}$`, 'i');
+}
+
+// 从数据库重新加载路由规则（规则增删改后调用）
+async function loadRoutingRules() {
+  const rules = await db.getRoutingRules();
+  routingRules = rules
+    .filter(rule => rule.enabled === 1)
+    .map(rule => ({ ...rule, regex: patternToRegExp(rule.model_pattern) }));
+  return routingRules;
+}
+
+// 根据模型名称确定使用哪些key：{ group, providerId }
+// group 为 undefined 表示不限制分组（没有指定模型、没有命中规则，或规则只指定了供应商）
+// providerId 为 null 表示不限制供应商
+async function resolveKeyRoute(model) {
+  if (!model || typeof model !== 'string') return { group: undefined, providerId: null };
+  if (!routingRules) {
+    try {
+      await loadRoutingRules();
+    } catch (error) {
+      console.error('加载路由规则失败:', error);
+      return { group: undefined, providerId: null };
+    }
+  }
+  const rule = routingRules.find(item => item.regex.test(model));
+  if (!rule) return { group: undefined, providerId: null };
+  return { group: rule.group_name || undefined, providerId: rule.provider_id || null };
+}
+
+async function resolveKeyGroup(model) {
+  return (await resolveKeyRoute(model)).group;
+}
+
+function isKeyInRoute(keyInfo, route) {
+  if (route.providerId && (keyInfo.provider_id || DEFAULT_PROVIDER_ID) !== route.providerId) return false;
+  if (route.group === undefined) return true;
+  return (keyInfo.group_name || null) === route.group;
+}
+
+// 一次查询取出多个key的最新完整信息，保持传入的顺序（查询期间被删除的key跳过）
+async function loadFullKeyInfos(keys) {
+  const rows = await db.getApiKeysByIds(keys.map(key => key.id));
+  const rowsById = new Map(rows.map(row => [row.id, row]));
+  return keys.map(key => rowsById.get(key.id)).filter(Boolean);
+}
+
 // 获取当前使用的API key（如果当前key无余额，则切换到下一个）
-async function getCurrentApiKey() {
+// sticky 策略一直使用当前key直到失败；其他策略每次请求都重新选择
+// 传入model时按路由规则只在对应分组和供应商中选择
+async function getCurrentApiKey(model) {
+  await ensureProvidersLoaded();
   // 如果列表为空，重新加载
   if (activeApiKeys.length === 0) {
     await loadActiveApiKeys();
@@ -31,13 +199,28 @@ async function getCurrentApiKey() {
     return null;
   }
 
+  const route = await resolveKeyRoute(model);
+  const strategy = await getSelectionStrategy();
+  if (strategy !== 'sticky') {
+    const candidates = (await loadFullKeyInfos(activeApiKeys.filter(key => isKeyInRoute(key, route))))
+      .filter(isKeyUsable);
+    if (candidates.length === 0) {
+      currentApiKeyId = null;
+      return null;
+    }
+    const selected = pickKeyByStrategy(strategy, candidates);
+    roundRobinLastId = selected.id;
+    // 保证选中时间严格递增，同一毫秒内的多次选择也能区分先后
+    lastSelectionTime = Math.max(Date.now(), lastSelectionTime + 1);
+    lastSelectedAt.set(selected.id, lastSelectionTime);
+    currentApiKeyId = selected.id;
+    return selected;
+  }
+
   // 如果当前有使用的key，检查它是否仍然可用
   if (currentApiKeyId) {
     const currentKey = await db.getApiKeyById(currentApiKeyId);
-    // 检查密钥是否可用：is_available=1 且 status不是'error'（允许'active'或'insufficient'）
-    if (currentKey && 
-        (currentKey.is_available === 1 || currentKey.is_available === null) &&
-        currentKey.status !== 'error') {
+    if (isKeyUsable(currentKey) && isKeyInRoute(currentKey, route)) {
       return currentKey;
     }
     // 当前key不可用，清除并切换到下一个
@@ -45,22 +228,19 @@ async function getCurrentApiKey() {
   }
 
   // 没有当前key或当前key不可用，从最早的开始查找
-  for (const key of activeApiKeys) {
-    const fullKeyInfo = await db.getApiKeyById(key.id);
-    // 检查密钥是否可用：is_available=1 且 status不是'error'（允许'active'或'insufficient'）
-    if (fullKeyInfo && 
-        (fullKeyInfo.is_available === 1 || fullKeyInfo.is_available === null) &&
-        fullKeyInfo.status !== 'error') {
-      currentApiKeyId = fullKeyInfo.id;
-      return fullKeyInfo;
-    }
+  const fullKeyInfo = (await loadFullKeyInfos(activeApiKeys.filter(key => isKeyInRoute(key, route))))
+    .find(isKeyUsable);
+  if (fullKeyInfo) {
+    currentApiKeyId = fullKeyInfo.id;
+    return fullKeyInfo;
   }
 
   return null;
 }
 
-// 切换到下一个API key（当前key无余额时调用）
-async function switchToNextApiKey() {
+// 切换到下一个API key（当前key无余额时调用），传入model时只在对应分组和供应商中切换
+async function switchToNextApiKey(model) {
+  await ensureProvidersLoaded();
   if (activeApiKeys.length === 0) {
     await loadActiveApiKeys();
   }
@@ -77,18 +257,17 @@ async function switchToNextApiKey() {
   }
 
   // 从下一个位置开始查找
+  const route = await resolveKeyRoute(model);
   const startIndex = currentIndex + 1;
+  const ordered = [];
   for (let i = 0; i < activeApiKeys.length; i++) {
-    const index = (startIndex + i) % activeApiKeys.length;
-    const key = activeApiKeys[index];
-    const fullKeyInfo = await db.getApiKeyById(key.id);
-    // 检查密钥是否可用：is_available=1 且 status不是'error'（允许'active'或'insufficient'）
-    if (fullKeyInfo && 
-        (fullKeyInfo.is_available === 1 || fullKeyInfo.is_available === null) &&
-        fullKeyInfo.status !== 'error') {
-      currentApiKeyId = fullKeyInfo.id;
-      return fullKeyInfo;
-    }
+    const key = activeApiKeys[(startIndex + i) % activeApiKeys.length];
+    if (isKeyInRoute(key, route)) ordered.push(key);
+  }
+  const fullKeyInfo = (await loadFullKeyInfos(ordered)).find(isKeyUsable);
+  if (fullKeyInfo) {
+    currentApiKeyId = fullKeyInfo.id;
+    return fullKeyInfo;
   }
 
   // 没有可用的key
@@ -96,16 +275,36 @@ async function switchToNextApiKey() {
   return null;
 }
 
+// 统计模型可用的key中因达到并发上限而被跳过的数量（没有可选的key时用于判断是否只是暂时繁忙）
+async function countSaturatedKeys(model) {
+  await ensureProvidersLoaded();
+  const route = await resolveKeyRoute(model);
+  const fullKeyInfos = await loadFullKeyInfos(activeApiKeys.filter(key => isKeyInRoute(key, route)));
+  return fullKeyInfos.filter(key => isKeyAvailable(key) && isSaturated(key.id, key.max_concurrency)).length;
+}
+
+// 获取某个供应商下所有可用的key（按优先级排序），用于不经过key选择策略的请求（如拉取模型列表）
+async function getUsableKeysForProvider(providerId) {
+  await ensureProvidersLoaded();
+  if (activeApiKeys.length === 0) {
+    await loadActiveApiKeys();
+  }
+  const providerKeys = activeApiKeys.filter(key => (key.provider_id || DEFAULT_PROVIDER_ID) === providerId);
+  return (await loadFullKeyInfos(providerKeys)).filter(isKeyUsable);
+}
+
 // 检查API余额（通过调用一个简单的模型列表接口或余额查询接口）
-async function checkBalance(apiKey) {
+async function checkBalance(apiKey, providerId = null) {
   try {
+    const provider = await getProviderById(providerId || DEFAULT_PROVIDER_ID);
+    if (!provider) return false;
     // 尝试调用一个轻量级的接口来检查API key是否有效
     // 注意：硅基流动可能没有直接的余额查询接口，这里通过尝试调用模型列表来验证
     const response = await axios.get(
-      `${SILICONFLOW_BASE_URL}/models`,
+      buildProviderUrl(provider, '/models'),
       {
         headers: {
-          'Authorization': `Bearer ${apiKey}`,
+          ...buildAuthHeaders(provider, apiKey),
           'Content-Type': 'application/json'
         },
         timeout: 5000
@@ -124,16 +323,28 @@ async function checkBalance(apiKey) {
   }
 }
 
-// 查询API余额并返回余额信息
+// 查询API余额并返回余额信息，providerId 为key所属的供应商（为空表示默认供应商）
+// 供应商没有余额适配器时返回 unsupported，调用方不应据此修改key的状态
 // 参考文档: https://docs.siliconflow.cn/cn/api-reference/userinfo/get-user-info
-async function queryBalance(apiKey) {
+async function queryBalance(apiKey, providerId = null) {
   try {
+    const provider = await getProviderById(providerId || DEFAULT_PROVIDER_ID);
+    if (!provider || provider.balance_adapter !== 'siliconflow') {
+      return {
+        success: false,
+        unsupported: true,
+        hasBalance: false,
+        balance: null,
+        message: '该供应商不支持余额查询'
+      };
+    }
+
     // 使用硅基流动官方API查询用户信息（包含余额）
     const response = await axios.get(
-      `${SILICONFLOW_BASE_URL}/user/info`,
+      buildProviderUrl(provider, '/user/info'),
       {
         headers: {
-          'Authorization': `Bearer ${apiKey}`,
+          ...buildAuthHeaders(provider, apiKey),
           'Content-Type': 'application/json'
         },
         timeout: 5000
@@ -253,7 +464,7 @@ async function checkAndUpdateAvailability(id) {
   
   // 如果失败3次且余额<1，设置为不可用
   if (errorCount >= 3 && balance !== null && balance < 1) {
-    await db.updateApiKeyAvailability(id, false);
+    await db.updateApiKeyAvailability(id, false, 'balance');
     await loadActiveApiKeys();
   } else if (!isAvailable && (errorCount < 3 || balance === null || balance >= 1)) {
     // 如果之前不可用，但现在条件不满足，恢复为可用
@@ -432,7 +643,16 @@ function setCurrentApiKeyId(id) {
 
 module.exports = {
   getCurrentApiKey,
+  getSelectionStrategy,
+  setSelectionStrategy,
+  getSelectionStrategies,
+  loadRoutingRules,
+  patternToRegExp,
+  resolveKeyRoute,
+  resolveKeyGroup,
   switchToNextApiKey,
+  countSaturatedKeys,
+  getUsableKeysForProvider,
   checkBalance,
   queryBalance,
   markApiKeyStatus,
@@ -0,0 +1,187 @@
+// 认证防暴力破解：按IP统计管理员登录（admin）和转发接口认证（api）的失败次数
+// 短时间内失败次数过多时锁定该IP，再次被锁定时锁定时长翻倍；记录保存在 auth_lockouts 表中，重启后仍然有效
+const db = require('../db');
+const { parseDbTime, toDbTime } = require('./clientKeyManager');
+
+const SCOPES = {
+  admin: '管理员登录',
+  api: '转发接口'
+};
+
+// 统计窗口内允许的失败次数，超过后锁定
+const MAX_FAILED_ATTEMPTS = Math.max(1, parseInt(process.env.AUTH_MAX_FAILED_ATTEMPTS, 10) || 10);
+const FAILURE_WINDOW_MS = Math.max(1, parseInt(process.env.AUTH_FAILURE_WINDOW_MINUTES, 10) || 15) * 60 * 1000;
+// 首次锁定时长，之后每次锁定翻倍，不超过最大锁定时长
+const LOCKOUT_BASE_SECONDS = Math.max(1, parseInt(process.env.AUTH_LOCKOUT_SECONDS, 10) || 60);
+const LOCKOUT_MAX_SECONDS = Math.max(LOCKOUT_BASE_SECONDS, parseInt(process.env.AUTH_LOCKOUT_MAX_SECONDS, 10) || 3600);
+// 超过这个时间没有失败的IP清除记录，锁定时长重新从首次锁定时长开始
+const RECORD_TTL_MS = 24 * 60 * 60 * 1000;
+// 最多跟踪的IP数量，防止大量不同IP的失败请求让内存和数据库中的记录无限增长
+const MAX_TRACKED_IPS = Math.max(100, parseInt(process.env.AUTH_MAX_TRACKED_IPS, 10) || 10000);
+
+// 内存中的记录：`${scope}|${ip}` -> { failedCount, lockoutCount, lastFailedAt, lockedUntil }（时间为时间戳）
+// 判断是否锁定只读内存，避免每个请求都查询数据库；变化时写入数据库
+const records = new Map();
+
+function recordKey(scope, ip) {
+  return `${scope}|${ip}`;
+}
+
+function fromRow(row) {
+  return {
+    failedCount: row.failed_count || 0,
+    lockoutCount: row.lockout_count || 0,
+    lastFailedAt: row.last_failed_at ? parseDbTime(row.last_failed_at) : 0,
+    lockedUntil: row.locked_until ? parseDbTime(row.locked_until) : 0
+  };
+}
+
+// 启动时从数据库加载记录，清理过期记录和超出数量上限的记录
+async function init() {
+  await db.deleteStaleAuthLockouts(toDbTime(Date.now() - RECORD_TTL_MS));
+  await db.pruneAuthLockouts(MAX_TRACKED_IPS);
+  const rows = await db.getAuthLockouts();
+  records.clear();
+  rows.forEach(row => records.set(recordKey(row.scope, row.client_ip), fromRow(row)));
+  const locked = rows.filter(row => fromRow(row).lockedUntil > Date.now()).length;
+  if (locked > 0) {
+    console.log(`已加载 ${locked} 个仍在锁定中的IP`);
+  }
+}
+
+// 返回IP剩余的锁定秒数，未锁定时返回0
+function getLockoutSeconds(scope, ip) {
+  const record = records.get(recordKey(scope, ip));
+  if (!record || record.lockedUntil <= Date.now()) return 0;
+  return Math.ceil((record.lockedUntil - Date.now()) / 1000);
+}
+
+function persist(scope, ip, record) {
+  db.saveAuthLockout(scope, ip, {
+    failed_count: record.failedCount,
+    lockout_count: record.lockoutCount,
+    last_failed_at: toDbTime(record.lastFailedAt),
+    locked_until: record.lockedUntil ? toDbTime(record.lockedUntil) : null
+  }).catch(error => {
+    console.error(`保存IP ${ip} 的认证失败记录失败:`, error.message);
+  });
+}
+
+// 跟踪的IP达到上限时清除一条记录：优先清除未锁定且最后失败时间最早的，全部锁定时清除最早失败的
+function evictOneRecord() {
+  const now = Date.now();
+  let oldestKey = null;
+  let oldestUnlockedKey = null;
+  for (const [key, record] of records) {
+    if (!oldestKey || record.lastFailedAt < records.get(oldestKey).lastFailedAt) {
+      oldestKey = key;
+    }
+    if (record.lockedUntil <= now && (!oldestUnlockedKey || record.lastFailedAt < records.get(oldestUnlockedKey).lastFailedAt)) {
+      oldestUnlockedKey = key;
+    }
+  }
+  const evictKey = oldestUnlockedKey || oldestKey;
+  if (!evictKey) return;
+  records.delete(evictKey);
+  const separator = evictKey.indexOf('|');
+  const scope = evictKey.substring(0, separator);
+  const ip = evictKey.substring(separator + 1);
+  db.deleteAuthLockoutByIp(scope, ip).catch(error => {
+    console.error(`清除IP ${ip} 的认证失败记录失败:`, error.message);
+  });
+}
+
+// 记录一次认证失败，达到上限时锁定该IP，返回锁定秒数（未锁定返回0）
+function recordFailure(scope, ip) {
+  const now = Date.now();
+  const key = recordKey(scope, ip);
+  let record = records.get(key);
+  if (!record || now - record.lastFailedAt > RECORD_TTL_MS) {
+    if (!record && records.size >= MAX_TRACKED_IPS) {
+      evictOneRecord();
+    }
+    record = { failedCount: 0, lockoutCount: 0, lastFailedAt: 0, lockedUntil: 0 };
+  } else if (now - record.lastFailedAt > FAILURE_WINDOW_MS) {
+    // 超出统计窗口，重新计数，但保留之前的锁定次数
+    record.failedCount = 0;
+  }
+
+  record.failedCount++;
+  record.lastFailedAt = now;
+
+  let lockoutSeconds = 0;
+  if (record.failedCount >= MAX_FAILED_ATTEMPTS) {
+    lockoutSeconds = Math.min(LOCKOUT_BASE_SECONDS * Math.pow(2, record.lockoutCount), LOCKOUT_MAX_SECONDS);
+    record.lockoutCount++;
+    record.failedCount = 0;
+    record.lockedUntil = now + lockoutSeconds * 1000;
+    console.warn(`⚠️ IP ${ip} 的${SCOPES[scope]}认证连续失败 ${MAX_FAILED_ATTEMPTS} 次，锁定 ${lockoutSeconds} 秒（第 ${record.lockoutCount} 次锁定）`);
+  }
+
+  records.set(key, record);
+  persist(scope, ip, record);
+  return lockoutSeconds;
+}
+
+// 认证成功后清除该IP的失败记录
+function recordSuccess(scope, ip) {
+  const key = recordKey(scope, ip);
+  if (!records.has(key)) return;
+  records.delete(key);
+  db.deleteAuthLockoutByIp(scope, ip).catch(error => {
+    console.error(`清除IP ${ip} 的认证失败记录失败:`, error.message);
+  });
+}
+
+// 查看所有失败记录（包括已解除锁定、仍在统计窗口内的记录）
+async function getLockouts() {
+  await db.deleteStaleAuthLockouts(toDbTime(Date.now() - RECORD_TTL_MS));
+  const rows = await db.getAuthLockouts();
+  const now = Date.now();
+  return rows.map(row => {
+    const lockedUntil = row.locked_until ? parseDbTime(row.locked_until) : 0;
+    return {
+      ...row,
+      locked: lockedUntil > now,
+      remaining_seconds: lockedUntil > now ? Math.ceil((lockedUntil - now) / 1000) : 0
+    };
+  });
+}
+
+// 解除单个IP的锁定并清除失败记录，记录不存在时返回false
+async function clearLockout(id) {
+  const row = await db.getAuthLockoutById(id);
+  if (!row) return false;
+  await db.deleteAuthLockout(id);
+  records.delete(recordKey(row.scope, row.client_ip));
+  return true;
+}
+
+async function clearAllLockouts() {
+  const result = await db.deleteAuthLockouts();
+  records.clear();
+  return result.deleted;
+}
+
+function getConfig() {
+  return {
+    max_failed_attempts: MAX_FAILED_ATTEMPTS,
+    failure_window_minutes: FAILURE_WINDOW_MS / 60000,
+    lockout_seconds: LOCKOUT_BASE_SECONDS,
+    lockout_max_seconds: LOCKOUT_MAX_SECONDS,
+    max_tracked_ips: MAX_TRACKED_IPS,
+    tracked_ips: records.size
+  };
+}
+
+module.exports = {
+  SCOPES,
+  init,
+  getLockoutSeconds,
+  recordFailure,
+  recordSuccess,
+  getLockouts,
+  clearLockout,
+  clearAllLockouts,
+  getConfig
+};
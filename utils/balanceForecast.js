@@ -0,0 +1,140 @@
+// 余额消耗速度与耗尽时间预测：根据 balance_history 中的余额记录计算
+const db = require('../db');
+
+// 余额低于此值的key会被停用，预测以此为耗尽线（与余额不足的判断保持一致）
+const MIN_BALANCE = 1;
+const HOUR_MS = 60 * 60 * 1000;
+// 余额历史保留天数
+const RETENTION_DAYS = parseInt(process.env.BALANCE_HISTORY_RETENTION_DAYS || '90', 10) || 90;
+
+// SQLite的CURRENT_TIMESTAMP是UTC时间，格式为 "YYYY-MM-DD HH:MM:SS"
+function parseDbTime(value) {
+  if (!value) return null;
+  const time = Date.parse(String(value).replace(' ', 'T') + (String(value).endsWith('Z') ? '' : 'Z'));
+  return isNaN(time) ? null : time;
+}
+
+function maskKey(apiKey) {
+  return apiKey ? `${apiKey.substring(0, 8)}...${apiKey.substring(apiKey.length - 4)}` : '';
+}
+
+function round(value, digits = 4) {
+  if (value === null || value === undefined) return null;
+  const factor = Math.pow(10, digits);
+  return Math.round(value * factor) / factor;
+}
+
+// 统计一组按时间排序的余额记录：只累计余额下降的部分，余额上升视为充值
+function summarizeSamples(samples) {
+  let spent = 0;
+  let topUp = 0;
+  for (let i = 1; i < samples.length; i++) {
+    const diff = samples[i - 1].balance - samples[i].balance;
+    if (diff > 0) {
+      spent += diff;
+    } else {
+      topUp -= diff;
+    }
+  }
+  const start = samples.length > 0 ? samples[0].time : null;
+  const end = samples.length > 0 ? samples[samples.length - 1].time : null;
+  return { spent, topUp, start, end };
+}
+
+// 根据剩余可用余额和每小时消耗推算耗尽时间
+function projectRunsOut(usableBalance, burnPerHour, now) {
+  if (!burnPerHour || burnPerHour <= 0) return null;
+  return new Date(now + (usableBalance / burnPerHour) * HOUR_MS).toISOString();
+}
+
+function isKeyUsable(key) {
+  return key.is_available && key.status !== 'error';
+}
+
+// 计算每个key和整体的消耗速度及预计耗尽时间
+// days: 参与计算的历史窗口（天）
+async function getBalanceForecast(days = 7) {
+  const now = Date.now();
+  const [keys, history] = await Promise.all([
+    db.getAllApiKeys(),
+    db.getBalanceHistory(null, days)
+  ]);
+
+  const samplesByKey = new Map();
+  for (const row of history) {
+    const time = parseDbTime(row.checked_at);
+    if (time === null) continue;
+    if (!samplesByKey.has(row.api_key_id)) {
+      samplesByKey.set(row.api_key_id, []);
+    }
+    samplesByKey.get(row.api_key_id).push({ balance: parseFloat(row.balance), time });
+  }
+
+  let totalSpent = 0;
+  let totalBalance = 0;
+  let usableBalance = 0;
+  let windowStart = null;
+  let windowEnd = null;
+
+  const keyForecasts = keys.map(key => {
+    const samples = samplesByKey.get(key.id) || [];
+    const { spent, topUp, start, end } = summarizeSamples(samples);
+    const hours = start !== null && end > start ? (end - start) / HOUR_MS : 0;
+    const burnPerHour = hours > 0 ? spent / hours : null;
+    const balance = key.balance !== null && key.balance !== undefined ? key.balance : null;
+    const usable = isKeyUsable(key) && balance !== null ? Math.max(0, balance - MIN_BALANCE) : 0;
+
+    totalSpent += spent;
+    if (balance !== null) totalBalance += balance;
+    usableBalance += usable;
+    if (samples.length > 1) {
+      windowStart = windowStart === null ? start : Math.min(windowStart, start);
+      windowEnd = windowEnd === null ? end : Math.max(windowEnd, end);
+    }
+
+    return {
+      id: key.id,
+      api_key: maskKey(key.full_api_key),
+      name: key.name || null,
+      is_available: isKeyUsable(key),
+      balance,
+      samples: samples.length,
+      spent: round(spent),
+      top_up: round(topUp),
+      burn_rate_per_hour: round(burnPerHour),
+      burn_rate_per_day: burnPerHour === null ? null : round(burnPerHour * 24),
+      exhausted: usable <= 0,
+      runs_out_at: usable > 0 ? projectRunsOut(usable, burnPerHour, now) : null
+    };
+  });
+
+  // 整体消耗速度按所有key的总消耗计算：某个key用完后请求会转移到其他key，整体速度不变
+  const totalHours = windowStart !== null && windowEnd > windowStart ? (windowEnd - windowStart) / HOUR_MS : 0;
+  const totalBurnPerHour = totalHours > 0 ? totalSpent / totalHours : null;
+
+  return {
+    window_days: days,
+    min_balance: MIN_BALANCE,
+    generated_at: new Date(now).toISOString(),
+    overall: {
+      balance: round(totalBalance),
+      usable_balance: round(usableBalance),
+      spent: round(totalSpent),
+      burn_rate_per_hour: round(totalBurnPerHour),
+      burn_rate_per_day: totalBurnPerHour === null ? null : round(totalBurnPerHour * 24),
+      exhausted: usableBalance <= 0,
+      runs_out_at: usableBalance > 0 ? projectRunsOut(usableBalance, totalBurnPerHour, now) : null
+    },
+    keys: keyForecasts
+  };
+}
+
+// 清理过期的余额历史
+async function pruneHistory() {
+  return db.pruneBalanceHistory(RETENTION_DAYS);
+}
+
+module.exports = {
+  getBalanceForecast,
+  pruneHistory
+};
@@ -0,0 +1,234 @@
+// 余额定时刷新：按固定间隔查询所有API key的余额
+// 余额不足的key标记为欠费并设为不可用；因余额不足被停用的key充值后自动恢复
+const db = require('../db');
+const { queryBalance, markApiKeyStatus, refreshApiKeys } = require('./apiManager');
+const { pruneHistory } = require('./balanceForecast');
+
+// 设置保存在数据库中，未设置时使用环境变量
+const SETTING_KEYS = {
+  intervalMinutes: 'balance_refresh_interval_minutes',
+  concurrency: 'balance_refresh_concurrency',
+  jitterSeconds: 'balance_refresh_jitter_seconds'
+};
+
+const DEFAULT_CONFIG = {
+  // 刷新间隔（分钟），0表示禁用定时刷新
+  intervalMinutes: parseInt(process.env.BALANCE_REFRESH_INTERVAL_MINUTES || '0', 10) || 0,
+  // 同时查询余额的key数量
+  concurrency: parseInt(process.env.BALANCE_REFRESH_CONCURRENCY || '1', 10) || 1,
+  // 随机抖动（秒）：每次调度和每个key的查询都会随机延后 0~N 秒，避免请求过于集中
+  jitterSeconds: parseInt(process.env.BALANCE_REFRESH_JITTER_SECONDS || '5', 10) || 0
+};
+
+// 余额低于此值视为余额不足（与请求失败时的判断保持一致）
+const MIN_BALANCE = 1;
+
+let config = { ...DEFAULT_CONFIG };
+let timer = null;
+let nextRunAt = null;
+let currentRun = null;
+let lastRun = null; // { started_at, finished_at, trigger, result, error }
+
+function randomJitterMs() {
+  return config.jitterSeconds > 0 ? Math.floor(Math.random() * config.jitterSeconds * 1000) : 0;
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+function maskKey(apiKey) {
+  return apiKey ? `${apiKey.substring(0, 8)}...${apiKey.substring(apiKey.length - 4)}` : '';
+}
+
+async function loadConfig() {
+  const loaded = { ...DEFAULT_CONFIG };
+  for (const [field, settingKey] of Object.entries(SETTING_KEYS)) {
+    const value = await db.getSetting(settingKey);
+    if (value !== null && value !== undefined && !isNaN(parseInt(value, 10))) {
+      loaded[field] = parseInt(value, 10);
+    }
+  }
+  config = loaded;
+  return config;
+}
+
+// 刷新单个key的余额，返回处理结果：refreshed / disabled / reenabled / invalid / failed / skipped
+async function refreshKey(key) {
+  const apiKey = key.full_api_key || key.api_key;
+  const isAvailable = key.is_available === true || key.is_available === 1 || key.is_available === null;
+  const balanceInfo = await queryBalance(apiKey, key.provider_id);
+  if (balanceInfo.unsupported) {
+    // 供应商不支持余额查询，跳过
+    return 'skipped';
+  }
+  const isInvalidKey = balanceInfo.message && balanceInfo.message.includes('无效');
+
+  if (isInvalidKey) {
+    // 密钥无效：不更新余额，只设置为不可用（与手动查询余额的处理一致）
+    if (isAvailable) {
+      await db.updateApiKeyAvailability(key.id, false);
+      await db.updateApiKeyStatus(key.id, key.status || 'active', balanceInfo.message);
+    }
+    return 'invalid';
+  }
+
+  if (balanceInfo.balance === null || balanceInfo.balance === undefined) {
+    return 'failed';
+  }
+
+  await db.updateApiKeyBalance(key.id, balanceInfo.balance);
+
+  // 手动停用或因其他原因不可用的key只更新余额，不修改状态；只有因余额不足停用的key才会被恢复
+  const disabledForBalance = !isAvailable && key.disabled_reason === 'balance';
+  if (!isAvailable && !disabledForBalance) {
+    return 'refreshed';
+  }
+
+  if (balanceInfo.balance < MIN_BALANCE) {
+    if (isAvailable || key.status !== 'insufficient') {
+      await markApiKeyStatus(key.id, 'insufficient', '余额不足');
+      await db.updateApiKeyAvailability(key.id, false, 'balance');
+      return 'disabled';
+    }
+    return 'refreshed';
+  }
+
+  if (disabledForBalance || key.status === 'insufficient') {
+    await markApiKeyStatus(key.id, 'active');
+    await db.updateApiKeyAvailability(key.id, true);
+    console.log(`API Key ${key.id} (${maskKey(apiKey)}) 余额已恢复 (¥${balanceInfo.balance.toFixed(2)})，重新启用`);
+    return 'reenabled';
+  }
+  return 'refreshed';
+}
+
+async function executeRun(trigger) {
+  const startedAt = new Date();
+  const result = { total: 0, refreshed: 0, disabled: 0, reenabled: 0, invalid: 0, failed: 0, skipped: 0 };
+  lastRun = { started_at: startedAt.toISOString(), finished_at: null, trigger, result, error: null };
+
+  try {
+    const blockInfo = await db.isIpBlocked();
+    if (blockInfo) {
+      throw new Error('服务器IP已被硅基流动拉黑，跳过本次余额刷新');
+    }
+
+    const keys = await db.getAllApiKeys();
+    result.total = keys.length;
+    const queue = keys.slice();
+    const workerCount = Math.max(1, Math.min(config.concurrency, queue.length));
+
+    const worker = async () => {
+      while (queue.length > 0) {
+        const key = queue.shift();
+        await sleep(randomJitterMs());
+        try {
+          const outcome = await refreshKey(key);
+          result[outcome]++;
+        } catch (error) {
+          result.failed++;
+          console.error(`刷新API Key ${key.id} 余额失败:`, error.message);
+        }
+      }
+    };
+    await Promise.all(Array.from({ length: workerCount }, worker));
+
+    if (result.disabled > 0 || result.reenabled > 0 || result.invalid > 0) {
+      await refreshApiKeys();
+    }
+    await pruneHistory();
+    console.log(`余额定时刷新完成: 共 ${result.total} 个key，恢复 ${result.reenabled} 个，停用 ${result.disabled + result.invalid} 个，失败 ${result.failed} 个`);
+  } catch (error) {
+    lastRun.error = error.message;
+    console.error('余额定时刷新失败:', error.message);
+  } finally {
+    lastRun.finished_at = new Date().toISOString();
+  }
+  return lastRun;
+}
+
+// 立即执行一次刷新；已有刷新在进行时返回同一个任务
+function runNow(trigger = 'manual') {
+  if (!currentRun) {
+    currentRun = executeRun(trigger).finally(() => {
+      currentRun = null;
+    });
+  }
+  return currentRun;
+}
+
+function scheduleNext() {
+  if (timer) {
+    clearTimeout(timer);
+    timer = null;
+  }
+  nextRunAt = null;
+  if (config.intervalMinutes <= 0) return;
+
+  const delay = config.intervalMinutes * 60 * 1000 + randomJitterMs();
+  nextRunAt = new Date(Date.now() + delay);
+  timer = setTimeout(async () => {
+    timer = null;
+    await runNow('scheduled');
+    scheduleNext();
+  }, delay);
+  // 定时器不阻止进程退出
+  if (typeof timer.unref === 'function') {
+    timer.unref();
+  }
+}
+
+// 服务启动时调用：清理过期的余额历史，加载设置并安排下一次刷新
+async function start() {
+  try {
+    await pruneHistory();
+  } catch (error) {
+    console.error('清理余额历史失败:', error.message);
+  }
+  await loadConfig();
+  scheduleNext();
+  if (config.intervalMinutes > 0) {
+    console.log(`余额定时刷新已启用: 每 ${config.intervalMinutes} 分钟，并发 ${config.concurrency}，抖动 ${config.jitterSeconds} 秒`);
+  }
+}
+
+function stop() {
+  if (timer) {
+    clearTimeout(timer);
+    timer = null;
+  }
+  nextRunAt = null;
+}
+
+// 更新设置并重新安排下一次刷新
+async function updateConfig(changes) {
+  for (const [field, settingKey] of Object.entries(SETTING_KEYS)) {
+    if (changes[field] !== undefined) {
+      await db.setSetting(settingKey, String(changes[field]));
+    }
+  }
+  await loadConfig();
+  scheduleNext();
+  return getStatus();
+}
+
+function getStatus() {
+  return {
+    enabled: config.intervalMinutes > 0,
+    interval_minutes: config.intervalMinutes,
+    concurrency: config.concurrency,
+    jitter_seconds: config.jitterSeconds,
+    running: !!currentRun,
+    last_run: lastRun,
+    next_run_at: nextRunAt ? nextRunAt.toISOString() : null
+  };
+}
+
+module.exports = {
+  start,
+  stop,
+  runNow,
+  updateConfig,
+  getStatus
+};
@@ -0,0 +1,18 @@
+// 获取客户端IP：使用 Express 的 req.ip，默认不信任 X-Forwarded-For（客户端可以随意伪造该请求头）
+// 部署在反向代理后面时设置 TRUST_PROXY，由 Express 按 trust proxy 规则从可信代理传入的请求头中取客户端IP
+function getClientIp(req) {
+  const ip = req.ip || req.socket?.remoteAddress;
+  return ip ? ip.replace('::ffff:', '') : '未知';
+}
+
+// 解析 TRUST_PROXY 为 Express 的 trust proxy 设置：
+// true 信任所有代理；数字表示信任的代理层数；其他值为逗号分隔的IP/网段或 loopback、uniquelocal 等预设名称
+function getTrustProxySetting(value = process.env.TRUST_PROXY) {
+  const setting = String(value || '').trim();
+  if (!setting || setting === 'false') return false;
+  if (setting === 'true') return true;
+  if (/^\d+$/.test(setting)) return parseInt(setting, 10);
+  return setting.split(',').map(item => item.trim()).filter(Boolean);
+}
+
+module.exports = { getClientIp, getTrustProxySetting };
@@ -0,0 +1,141 @@
+// 客户端API密钥（虚拟key）：分发给各调用方的独立凭证，可单独限制模型、配额和有效期，也可单独停用
+// 数据库中只保存token的哈希，完整token只在创建时返回一次
+const crypto = require('crypto');
+const db = require('../db');
+const { hashApiKey } = require('../db/encryption');
+const { patternToRegExp } = require('./apiManager');
+const adminAuthManager = require('./adminAuthManager');
+
+const CLIENT_TOKEN_PREFIX = 'sk-proxy-';
+
+// token的脱敏值，用于列表显示，并记录在 api_usage.client_api_key 中便于查看日志
+function maskClientToken(token) {
+  return `${token.substring(0, CLIENT_TOKEN_PREFIX.length + 4)}...${token.substring(token.length - 4)}`;
+}
+
+// 生成新的客户端token，返回完整token以及要保存到数据库的哈希和脱敏值
+function issueClientToken() {
+  const token = `${CLIENT_TOKEN_PREFIX}${crypto.randomBytes(24).toString('hex')}`;
+  return { token, token_hash: hashApiKey(token), token_preview: maskClientToken(token) };
+}
+
+// 数据库时间（UTC，YYYY-MM-DD HH:MM:SS）转为时间戳
+function parseDbTime(value) {
+  return Date.parse(`${String(value).replace(' ', 'T')}Z`);
+}
+
+function toDbTime(time) {
+  return new Date(time).toISOString().replace('T', ' ').substring(0, 19);
+}
+
+// 允许的模型列表（JSON数组，支持 * 通配符），为空表示不限制
+function getAllowedModels(clientKey) {
+  if (!clientKey || !clientKey.allowed_models) return null;
+  try {
+    const models = JSON.parse(clientKey.allowed_models);
+    return Array.isArray(models) && models.length > 0 ? models : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+// 限制了模型的客户端密钥不能发送不指定模型的请求，除非调用方明确该接口不涉及模型（allowMissingModel，如查询视频任务状态）
+function isModelAllowed(clientKey, model, { allowMissingModel = false } = {}) {
+  const allowed = getAllowedModels(clientKey);
+  if (!allowed) return true;
+  if (!model) return allowMissingModel;
+  return allowed.some(pattern => patternToRegExp(pattern).test(model));
+}
+
+// 检查客户端key当前能否使用，返回null表示可用，否则返回 { status, type, message, reason }
+function checkClientKey(clientKey) {
+  if (clientKey.enabled !== 1) {
+    return { status: 401, type: 'unauthorized', message: 'API密钥已停用', reason: `客户端密钥 ${clientKey.name} 已被管理员停用` };
+  }
+  if (clientKey.expires_at && parseDbTime(clientKey.expires_at) <= Date.now()) {
+    return { status: 401, type: 'unauthorized', message: 'API密钥已过期', reason: `客户端密钥 ${clientKey.name} 已于 ${clientKey.expires_at}（UTC）过期` };
+  }
+  if (clientKey.request_quota !== null && clientKey.request_count >= clientKey.request_quota) {
+    return { status: 429, type: 'quota_exceeded', message: 'API密钥的请求次数配额已用完', reason: `已使用 ${clientKey.request_count}/${clientKey.request_quota} 次请求` };
+  }
+  if (clientKey.token_quota !== null && clientKey.token_count >= clientKey.token_quota) {
+    return { status: 429, type: 'quota_exceeded', message: 'API密钥的token配额已用完', reason: `已使用 ${clientKey.token_count}/${clientKey.token_quota} tokens` };
+  }
+  return null;
+}
+
+// 共享的客户端API密钥：只接受 CLIENT_API_KEY，管理员密码不能用于转发接口
+function getSharedClientToken() {
+  return process.env.CLIENT_API_KEY || '';
+}
+
+// 设置了管理员密码，却没有任何客户端凭证（CLIENT_API_KEY 或虚拟客户端密钥）时，转发接口拒绝所有请求，而不是不做认证
+async function isClientCredentialMissing() {
+  if (getSharedClientToken() || (await hasClientKeys())) return false;
+  return adminAuthManager.isPasswordRequired();
+}
+
+// 启动时检查客户端凭证：没有配置时给出迁移提示，与管理员密码相同时提醒修改
+async function warnIfCredentialsShared() {
+  if (await isClientCredentialMissing()) {
+    console.warn('⚠️ 已设置管理员密码但未设置 CLIENT_API_KEY，也没有虚拟客户端密钥，转发接口将拒绝所有请求。请设置 CLIENT_API_KEY 并更新客户端配置（参见 README 中的"客户端密钥与管理员密码分离"）');
+  } else if (process.env.CLIENT_API_KEY && (await adminAuthManager.verifyPassword(process.env.CLIENT_API_KEY))) {
+    console.warn('⚠️ CLIENT_API_KEY 与管理员密码相同，客户端密钥泄露后管理界面也会失守，请修改其中一个');
+  }
+}
+
+// 按token查找客户端key（不存在时返回null）
+async function findClientKey(token) {
+  if (!token || !token.startsWith(CLIENT_TOKEN_PREFIX)) return null;
+  return db.findClientKeyByHash(hashApiKey(token));
+}
+
+async function hasClientKeys() {
+  return (await db.countClientKeys()) > 0;
+}
+
+// 转发前预占一次请求配额，配额已用完时返回null
+// 上游成功响应后调用 commit() 确认计数；其他情况（所有key失败、上游返回错误、客户端断开）调用 release() 退还
+async function reserveClientRequest(clientKey) {
+  if (!(await db.reserveClientKeyRequest(clientKey.id))) return null;
+  let settled = false;
+  return {
+    commit() {
+      settled = true;
+    },
+    release() {
+      if (settled) return;
+      settled = true;
+      db.releaseClientKeyRequest(clientKey.id).catch(error => {
+        console.error(`退还客户端密钥 ${clientKey.id} 的请求配额失败:`, error.message);
+      });
+    }
+  };
+}
+
+// token用量只用于配额判断，写入失败只记录日志，不影响请求
+function recordClientTokens(clientKey, count) {
+  const tokens = parseInt(count, 10);
+  if (!tokens || tokens <= 0) return;
+  db.addClientKeyTokens(clientKey.id, tokens).catch(error => {
+    console.error(`记录客户端密钥 ${clientKey.id} token用量失败:`, error.message);
+  });
+}
+
+module.exports = {
+  CLIENT_TOKEN_PREFIX,
+  issueClientToken,
+  maskClientToken,
+  getSharedClientToken,
+  isClientCredentialMissing,
+  warnIfCredentialsShared,
+  parseDbTime,
+  toDbTime,
+  getAllowedModels,
+  isModelAllowed,
+  checkClientKey,
+  findClientKey,
+  hasClientKeys,
+  reserveClientRequest,
+  recordClientTokens
+};
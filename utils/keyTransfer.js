@@ -0,0 +1,169 @@
+// API key导入/导出格式：JSON 和 CSV，包含状态、余额、分组、备注、调用次数等信息
+// 用于在不同部署之间迁移key池
+
+// 导出/导入的字段（CSV表头与JSON字段名一致）
+const TRANSFER_FIELDS = [
+  'api_key',
+  'name',
+  'owner',
+  'notes',
+  'group_name',
+  'provider',
+  'priority',
+  'max_concurrency',
+  'status',
+  'is_available',
+  'balance',
+  'balance_checked_at',
+  'call_count',
+  'error_count',
+  'last_error',
+  'created_at',
+  'last_used_at'
+];
+
+const EXPORT_FORMATS = ['txt', 'json', 'csv'];
+const IMPORT_FORMATS = ['json', 'csv'];
+
+function toTransferRecord(key) {
+  const record = {};
+  for (const field of TRANSFER_FIELDS) {
+    const value = field === 'api_key' ? key.full_api_key || key.api_key : key[field];
+    record[field] = value === undefined ? null : value;
+  }
+  record.is_available = !!record.is_available;
+  return record;
+}
+
+// 以这些字符开头的单元格会被Excel等表格软件当作公式执行，导出时加 ' 前缀
+// 本身以 ' 开头的文本也加前缀，导入时去掉一个 ' 即可还原
+const CSV_FORMULA_PREFIX = /^[=+\-@\t\r']/;
+const CSV_ESCAPED_FORMULA = /^'[=+\-@\t\r']/;
+
+function escapeCsvValue(value) {
+  if (value === null || value === undefined) return '';
+  let text = String(value);
+  if (typeof value === 'string' && CSV_FORMULA_PREFIX.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function serializeJson(keys) {
+  return JSON.stringify({
+    version: 1,
+    exported_at: new Date().toISOString(),
+    keys: keys.map(toTransferRecord)
+  }, null, 2);
+}
+
+function serializeCsv(keys) {
+  const lines = [TRANSFER_FIELDS.join(',')];
+  for (const key of keys) {
+    const record = toTransferRecord(key);
+    lines.push(TRANSFER_FIELDS.map(field => escapeCsvValue(record[field])).join(','));
+  }
+  return lines.join('\r\n') + '\r\n';
+}
+
+// 解析CSV（支持引号包裹的字段、字段内的逗号/换行和 "" 转义）
+function parseCsvRows(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+  const input = text.replace(/^\uFEFF/, '');
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+    if (inQuotes) {
+      if (char === '"') {
+        if (input[i + 1] === '"') {
+          field += '"';
+          i++;
+        } else {
+          inQuotes = false;
+        }
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (inQuotes) {
+    throw new Error('CSV格式错误：引号未闭合');
+  }
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+  // 忽略空行
+  return rows.filter(cells => cells.some(cell => cell.trim() !== ''));
+}
+
+function parseCsv(text) {
+  const rows = parseCsvRows(text);
+  if (rows.length === 0) return [];
+  const header = rows[0].map(cell => cell.trim());
+  if (!header.includes('api_key')) {
+    throw new Error('CSV缺少 api_key 表头');
+  }
+  return rows.slice(1).map(cells => {
+    const record = {};
+    header.forEach((name, index) => {
+      if (!TRANSFER_FIELDS.includes(name)) return;
+      const value = cells[index];
+      // CSV中的空单元格视为未提供
+      if (value !== undefined && value !== '') {
+        record[name] = CSV_ESCAPED_FORMULA.test(value) ? value.substring(1) : value;
+      }
+    });
+    return record;
+  });
+}
+
+// JSON支持导出格式（{ keys: [...] }）或直接的数组
+function parseJson(text) {
+  let data;
+  try {
+    data = typeof text === 'string' ? JSON.parse(text) : text;
+  } catch (error) {
+    throw new Error(`JSON格式错误: ${error.message}`);
+  }
+  const records = Array.isArray(data) ? data : data && data.keys;
+  if (!Array.isArray(records)) {
+    throw new Error('JSON中没有找到 keys 数组');
+  }
+  return records.map(item => (typeof item === 'string' ? { api_key: item } : item || {}));
+}
+
+function parseImport(format, content) {
+  if (format === 'csv') {
+    if (typeof content !== 'string') {
+      throw new Error('CSV内容必须是字符串');
+    }
+    return parseCsv(content);
+  }
+  return parseJson(content);
+}
+
+module.exports = {
+  TRANSFER_FIELDS,
+  EXPORT_FORMATS,
+  IMPORT_FORMATS,
+  serializeJson,
+  serializeCsv,
+  parseImport
+};
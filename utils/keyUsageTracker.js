@@ -0,0 +1,295 @@
+// API key用量跟踪：每个key最近1分钟的请求数（RPM）、token数（TPM）、限流冷却时间以及进行中的请求数
+// 数据只保存在内存中，服务重启后清空
+
+const WINDOW_MS = 60 * 1000;
+// 上游返回429但没有给出重试时间时的默认冷却时间
+const DEFAULT_COOLDOWN_MS = parseInt(process.env.KEY_COOLDOWN_SECONDS || '60', 10) * 1000;
+// 单个key的RPM/TPM上限（0表示不限制），达到上限的key在窗口内会被跳过
+const KEY_RPM_LIMIT = parseInt(process.env.KEY_RPM_LIMIT || '0', 10);
+const KEY_TPM_LIMIT = parseInt(process.env.KEY_TPM_LIMIT || '0', 10);
+// 单个key同时进行中的请求数上限（0表示不限制），key上单独设置的上限优先
+const KEY_MAX_CONCURRENCY = parseInt(process.env.KEY_MAX_CONCURRENCY || '0', 10) || 0;
+
+const keyStats = new Map(); // key ID -> { requests: [timestamp], tokens: [{ at, count }], cooldownUntil, cooldownReason }
+const inFlight = new Map(); // key ID -> 进行中的上游请求数
+
+function getStats(keyId) {
+  let stats = keyStats.get(keyId);
+  if (!stats) {
+    stats = { requests: [], tokens: [], cooldownUntil: 0, cooldownReason: null };
+    keyStats.set(keyId, stats);
+  }
+  return stats;
+}
+
+// 移除窗口外的记录
+function prune(stats, now = Date.now()) {
+  const threshold = now - WINDOW_MS;
+  while (stats.requests.length > 0 && stats.requests[0] <= threshold) {
+    stats.requests.shift();
+  }
+  while (stats.tokens.length > 0 && stats.tokens[0].at <= threshold) {
+    stats.tokens.shift();
+  }
+}
+
+// 记录一次发往上游的请求
+function recordRequest(keyId) {
+  const stats = getStats(keyId);
+  prune(stats);
+  stats.requests.push(Date.now());
+}
+
+// 记录一次请求消耗的token数
+function recordTokens(keyId, count) {
+  const tokens = parseInt(count, 10);
+  if (!tokens || tokens <= 0) return;
+  const stats = getStats(keyId);
+  prune(stats);
+  stats.tokens.push({ at: Date.now(), count: tokens });
+}
+
+function getRpm(keyId) {
+  const stats = keyStats.get(keyId);
+  if (!stats) return 0;
+  prune(stats);
+  return stats.requests.length;
+}
+
+function getTpm(keyId) {
+  const stats = keyStats.get(keyId);
+  if (!stats) return 0;
+  prune(stats);
+  return stats.tokens.reduce((sum, item) => sum + item.count, 0);
+}
+
+// 设置冷却时间（只会延长，不会缩短已有的冷却）
+function setCooldown(keyId, durationMs, reason) {
+  const stats = getStats(keyId);
+  const until = Date.now() + Math.max(0, durationMs);
+  if (until > stats.cooldownUntil) {
+    stats.cooldownUntil = until;
+    stats.cooldownReason = reason || null;
+  }
+  return stats.cooldownUntil;
+}
+
+function clearCooldown(keyId) {
+  const stats = keyStats.get(keyId);
+  if (stats) {
+    stats.cooldownUntil = 0;
+    stats.cooldownReason = null;
+  }
+}
+
+function getCooldownUntil(keyId) {
+  const stats = keyStats.get(keyId);
+  if (!stats || stats.cooldownUntil <= Date.now()) return null;
+  return stats.cooldownUntil;
+}
+
+// key当前是否不应被选择：冷却中或已达到RPM/TPM上限
+function isThrottled(keyId) {
+  if (getCooldownUntil(keyId)) return true;
+  if (KEY_RPM_LIMIT > 0 && getRpm(keyId) >= KEY_RPM_LIMIT) return true;
+  if (KEY_TPM_LIMIT > 0 && getTpm(keyId) >= KEY_TPM_LIMIT) return true;
+  return false;
+}
+
+// 占用key的一个并发名额，返回释放函数（重复调用只释放一次）
+function acquireSlot(keyId) {
+  inFlight.set(keyId, (inFlight.get(keyId) || 0) + 1);
+  let released = false;
+  return () => {
+    if (released) return;
+    released = true;
+    const count = (inFlight.get(keyId) || 0) - 1;
+    if (count > 0) {
+      inFlight.set(keyId, count);
+    } else {
+      inFlight.delete(keyId);
+    }
+  };
+}
+
+// 上游响应是流时，等流结束（或出错、被关闭）后再释放名额，否则立即释放
+function releaseWhenDone(response, release) {
+  const stream = response && response.data;
+  if (stream && typeof stream.on === 'function' && typeof stream.pipe === 'function' && !stream.destroyed) {
+    stream.once('end', release);
+    stream.once('close', release);
+    stream.once('error', release);
+  } else {
+    release();
+  }
+}
+
+function getInFlight(keyId) {
+  return inFlight.get(keyId) || 0;
+}
+
+// key的并发上限：key上设置了则使用key的设置（0表示不限制），否则使用全局默认值
+function getConcurrencyLimit(keyLimit) {
+  return keyLimit === null || keyLimit === undefined ? KEY_MAX_CONCURRENCY : keyLimit;
+}
+
+// key进行中的请求数是否已达到并发上限
+function isSaturated(keyId, keyLimit) {
+  const limit = getConcurrencyLimit(keyLimit);
+  return limit > 0 && getInFlight(keyId) >= limit;
+}
+
+// 所有冷却中的key里最早结束冷却的时间（用于告诉客户端多久后重试）
+function getEarliestCooldownEnd() {
+  const now = Date.now();
+  let earliest = null;
+  for (const stats of keyStats.values()) {
+    if (stats.cooldownUntil > now && (earliest === null || stats.cooldownUntil < earliest)) {
+      earliest = stats.cooldownUntil;
+    }
+  }
+  return earliest;
+}
+
+// 解析时长字符串：纯数字按秒计算，或 "1m30s"、"250ms"、"6m0s" 等格式
+function parseDuration(value) {
+  if (value === undefined || value === null || value === '') return null;
+  const text = String(value).trim();
+  if (/^\d+(\.\d+)?$/.test(text)) {
+    return Math.round(parseFloat(text) * 1000);
+  }
+  const pattern = /(\d+(?:\.\d+)?)(ms|h|m|s)/g;
+  const units = { h: 3600000, m: 60000, s: 1000, ms: 1 };
+  let total = 0;
+  let matched = false;
+  let match;
+  while ((match = pattern.exec(text)) !== null) {
+    matched = true;
+    total += parseFloat(match[1]) * units[match[2]];
+  }
+  return matched ? Math.round(total) : null;
+}
+
+// Retry-After：秒数或HTTP日期
+function parseRetryAfter(value) {
+  if (!value) return null;
+  const seconds = parseDuration(value);
+  if (seconds !== null) return seconds;
+  const date = Date.parse(value);
+  if (!isNaN(date)) return Math.max(0, date - Date.now());
+  return null;
+}
+
+function getHeader(headers, name) {
+  if (!headers) return undefined;
+  if (typeof headers.get === 'function') {
+    const value = headers.get(name);
+    if (value !== undefined && value !== null) return value;
+  }
+  return headers[name] !== undefined ? headers[name] : headers[name.toLowerCase()];
+}
+
+// 根据响应头计算需要冷却的时间（毫秒），无需冷却时返回null
+// 支持 Retry-After，以及 x-ratelimit-remaining-* 为0时的 x-ratelimit-reset-*
+function getCooldownFromHeaders(headers) {
+  const retryAfter = parseRetryAfter(getHeader(headers, 'retry-after'));
+  if (retryAfter !== null) return retryAfter;
+
+  let cooldown = null;
+  for (const kind of ['requests', 'tokens']) {
+    const remaining = getHeader(headers, `x-ratelimit-remaining-${kind}`);
+    if (remaining === undefined || remaining === null || parseInt(remaining, 10) > 0) continue;
+    const reset = parseDuration(getHeader(headers, `x-ratelimit-reset-${kind}`));
+    if (reset !== null) {
+      cooldown = Math.max(cooldown || 0, reset);
+    }
+  }
+  return cooldown;
+}
+
+// 处理上游响应头：剩余额度为0或带有Retry-After时设置冷却
+function updateFromHeaders(keyId, headers) {
+  const cooldown = getCooldownFromHeaders(headers);
+  if (cooldown !== null && cooldown > 0) {
+    setCooldown(keyId, cooldown, '上游限流额度已用完');
+    return true;
+  }
+  return false;
+}
+
+// 处理限流错误（429）：根据响应头设置冷却时间，没有相关响应头时使用默认冷却时间
+// 返回冷却结束时间；不是限流错误时返回null
+function handleRateLimitError(keyId, error) {
+  if (!error || !error.response || error.response.status !== 429) return null;
+  const cooldown = getCooldownFromHeaders(error.response.headers);
+  return setCooldown(keyId, cooldown !== null ? cooldown : DEFAULT_COOLDOWN_MS, '上游返回429（请求过于频繁）');
+}
+
+// 从SSE流中提取usage.total_tokens（返回 { onData, getTotalTokens }）
+function createStreamUsageSniffer() {
+  let tail = '';
+  let totalTokens = null;
+  return {
+    onData(chunk) {
+      // 保留上一块的末尾，避免字段被切分在两块之间
+      const text = tail + chunk.toString('utf8');
+      const pattern = /"total_tokens"\s*:\s*(\d+)/g;
+      let match;
+      while ((match = pattern.exec(text)) !== null) {
+        totalTokens = parseInt(match[1], 10);
+      }
+      tail = text.slice(-64);
+    },
+    getTotalTokens() {
+      return totalTokens;
+    }
+  };
+}
+
+// 所有key的当前用量（管理接口展示用）
+function getUsageSnapshot() {
+  const snapshot = {};
+  const keyIds = new Set([...keyStats.keys(), ...inFlight.keys()]);
+  for (const keyId of keyIds) {
+    const cooldownUntil = getCooldownUntil(keyId);
+    snapshot[keyId] = {
+      rpm: getRpm(keyId),
+      tpm: getTpm(keyId),
+      in_flight: getInFlight(keyId),
+      cooldown_until: cooldownUntil ? new Date(cooldownUntil).toISOString() : null,
+      cooldown_reason: cooldownUntil ? keyStats.get(keyId).cooldownReason : null
+    };
+  }
+  return snapshot;
+}
+
+function getLimits() {
+  return {
+    rpm_limit: KEY_RPM_LIMIT,
+    tpm_limit: KEY_TPM_LIMIT,
+    max_concurrency: KEY_MAX_CONCURRENCY,
+    default_cooldown_seconds: DEFAULT_COOLDOWN_MS / 1000
+  };
+}
+
+module.exports = {
+  recordRequest,
+  recordTokens,
+  getRpm,
+  getTpm,
+  setCooldown,
+  clearCooldown,
+  getCooldownUntil,
+  isThrottled,
+  acquireSlot,
+  releaseWhenDone,
+  getInFlight,
+  getConcurrencyLimit,
+  isSaturated,
+  getEarliestCooldownEnd,
+  updateFromHeaders,
+  handleRateLimitError,
+  createStreamUsageSniffer,
+  getUsageSnapshot,
+  getLimits
+};
@@ -0,0 +1,171 @@
+const axios = require('axios');
+const db = require('../db');
+const { getUsableKeysForProvider, getErrorMessage } = require('./apiManager');
+const { getActiveProxy, createProxyAgent } = require('./proxyManager');
+const { getProviders, isProviderEnabled, buildProviderUrl, buildAuthHeaders } = require('./providerManager');
+
+// 模型列表缓存有效期（默认10分钟）
+const MODELS_CACHE_TTL_MS = parseInt(process.env.MODELS_CACHE_TTL_SECONDS || '600') * 1000;
+// 拉取模型列表时最多尝试的API key数量
+const MAX_KEY_ATTEMPTS = 3;
+
+// 缓存按查询参数（type/sub_type）区分
+// key -> { models, fetchedAt, expiresAt }
+const modelCache = new Map();
+// 正在进行中的刷新请求，避免并发重复拉取
+const pendingRefreshes = new Map();
+
+function buildCacheKey(query = {}) {
+  return `${query.type || ''}|${query.sub_type || ''}`;
+}
+
+// 转换为OpenAI模型列表格式
+function normalizeModel(model) {
+  const id = typeof model === 'string' ? model : model.id;
+  const ownedBy = (model && model.owned_by) || (id && id.includes('/') ? id.split('/')[0] : 'siliconflow');
+  return {
+    id,
+    object: 'model',
+    created: (model && model.created) || 0,
+    owned_by: ownedBy
+  };
+}
+
+// 从单个供应商拉取模型列表，依次尝试该供应商下的可用key
+async function fetchProviderModels(provider, query) {
+  const keys = (await getUsableKeysForProvider(provider.id)).slice(0, MAX_KEY_ATTEMPTS);
+  if (keys.length === 0) {
+    throw new Error(`供应商 ${provider.name} 没有可用的API密钥`);
+  }
+
+  let lastError = null;
+  for (const keyInfo of keys) {
+    const axiosConfig = {
+      headers: {
+        ...buildAuthHeaders(provider, keyInfo.api_key),
+        'Content-Type': 'application/json'
+      },
+      params: {},
+      timeout: 15000
+    };
+    if (query.type) axiosConfig.params.type = query.type;
+    if (query.sub_type) axiosConfig.params.sub_type = query.sub_type;
+
+    const activeProxy = await getActiveProxy();
+    if (activeProxy) {
+      const agent = createProxyAgent(activeProxy);
+      if (agent) {
+        axiosConfig.httpsAgent = agent;
+        axiosConfig.httpAgent = agent;
+      }
+    }
+
+    try {
+      const response = await axios.get(buildProviderUrl(provider, '/models'), axiosConfig);
+      return Array.isArray(response.data?.data) ? response.data.data : [];
+    } catch (error) {
+      lastError = error;
+      console.error(`拉取模型列表失败 (供应商 ${provider.name}, API Key ${keyInfo.id}):`, getErrorMessage(error));
+    }
+  }
+  throw new Error(getErrorMessage(lastError));
+}
+
+// 合并所有启用的供应商的模型列表，部分供应商失败时返回其余供应商的结果
+async function fetchModelsFromUpstream(query) {
+  const blockInfo = await db.isIpBlocked();
+  if (blockInfo) {
+    throw new Error('服务器IP已被硅基流动拉黑，暂不请求上游');
+  }
+
+  const providers = (await getProviders()).filter(isProviderEnabled);
+  const seen = new Set();
+  const models = [];
+  const errors = [];
+  let succeeded = 0;
+
+  for (const provider of providers) {
+    try {
+      const list = await fetchProviderModels(provider, query);
+      succeeded++;
+      // 按id去重（多个供应商提供同名模型时只保留一个）
+      for (const item of list) {
+        const model = normalizeModel(item);
+        if (model.id && !seen.has(model.id)) {
+          seen.add(model.id);
+          models.push(model);
+        }
+      }
+    } catch (error) {
+      errors.push(error.message);
+    }
+  }
+
+  if (succeeded === 0) {
+    throw new Error(errors.length > 0 ? errors.join('; ') : '没有可用的API密钥');
+  }
+  return models;
+}
+
+// 获取模型列表（优先使用缓存）
+// 上游失败时，如果存在过期缓存则继续返回过期缓存
+async function getModels(query = {}, { forceRefresh = false } = {}) {
+  const cacheKey = buildCacheKey(query);
+  const cached = modelCache.get(cacheKey);
+
+  if (!forceRefresh && cached && cached.expiresAt > Date.now()) {
+    return { ...cached, cached: true };
+  }
+
+  if (!pendingRefreshes.has(cacheKey)) {
+    const refresh = fetchModelsFromUpstream(query)
+      .then((models) => {
+        const fetchedAt = Date.now();
+        const entry = { models, fetchedAt, expiresAt: fetchedAt + MODELS_CACHE_TTL_MS };
+        modelCache.set(cacheKey, entry);
+        return entry;
+      })
+      .finally(() => {
+        pendingRefreshes.delete(cacheKey);
+      });
+    pendingRefreshes.set(cacheKey, refresh);
+  }
+
+  try {
+    const entry = await pendingRefreshes.get(cacheKey);
+    return { ...entry, cached: false };
+  } catch (error) {
+    if (cached) {
+      console.warn(`刷新模型列表失败，返回过期缓存: ${error.message}`);
+      return { ...cached, cached: true, stale: true };
+    }
+    throw error;
+  }
+}
+
+// 清空缓存并重新拉取默认模型列表
+async function refreshModels() {
+  modelCache.clear();
+  return getModels({}, { forceRefresh: true });
+}
+
+function getModelCacheStatus() {
+  const entries = [];
+  for (const [key, entry] of modelCache.entries()) {
+    const [type, subType] = key.split('|');
+    entries.push({
+      type: type || null,
+      sub_type: subType || null,
+      count: entry.models.length,
+      fetched_at: new Date(entry.fetchedAt).toISOString(),
+      expires_at: new Date(entry.expiresAt).toISOString()
+    });
+  }
+  return { ttl_seconds: MODELS_CACHE_TTL_MS / 1000, entries };
+}
+
+module.exports = {
+  getModels,
+  refreshModels,
+  getModelCacheStatus
+};
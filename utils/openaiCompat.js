@@ -0,0 +1,73 @@
+// OpenAI兼容层：统一错误响应格式 { error: { message, type, param, code } }
+// OpenAI SDK按HTTP状态码区分异常类型，这里再按状态码补充对应的 type
+
+function getOpenAIErrorType(statusCode) {
+  if (statusCode === 401) return 'authentication_error';
+  if (statusCode === 403) return 'permission_error';
+  if (statusCode === 404) return 'not_found_error';
+  if (statusCode === 429) return 'rate_limit_error';
+  if (statusCode >= 500) return 'server_error';
+  return 'invalid_request_error';
+}
+
+function toOpenAIError(statusCode, body) {
+  // 本服务的错误格式：{ error: { message, type, reason, ... } }
+  // 上游错误格式：{ code, message, data } 或纯文本
+  let source = body;
+  if (body && typeof body === 'object' && body.error) {
+    source = typeof body.error === 'object' ? body.error : { message: String(body.error) };
+  } else if (typeof body === 'string') {
+    source = { message: body };
+  } else if (!body || typeof body !== 'object') {
+    source = {};
+  }
+
+  let message = source.message || source.msg || `请求失败 (HTTP ${statusCode})`;
+  if (source.reason && source.reason !== message) {
+    message = `${message}（${source.reason}）`;
+  }
+
+  let code = null;
+  if (source.code !== undefined && source.code !== null) {
+    code = String(source.code);
+  } else if (source.type) {
+    code = source.type;
+  }
+
+  return {
+    error: {
+      message: String(message),
+      type: getOpenAIErrorType(statusCode),
+      param: source.param !== undefined ? source.param : null,
+      code
+    }
+  };
+}
+
+// 包装 res.json：发送错误响应时按 res.locals.errorFormatter 转换格式
+// 后续中间件可替换 errorFormatter（如Anthropic兼容路由），只需包装一次
+function wrapErrorResponses(res) {
+  if (res.locals.errorFormatWrapped) return;
+  res.locals.errorFormatWrapped = true;
+  const originalJson = res.json.bind(res);
+  res.json = (body) => {
+    const formatter = res.locals.errorFormatter;
+    if (res.statusCode >= 400 && formatter) {
+      return originalJson(formatter(res.statusCode, body));
+    }
+    return originalJson(body);
+  };
+}
+
+// 挂载在OpenAI兼容路径前，将所有JSON错误响应转换为OpenAI格式
+function openaiErrorFormat(req, res, next) {
+  res.locals.errorFormatter = toOpenAIError;
+  wrapErrorResponses(res);
+  next();
+}
+
+module.exports = {
+  openaiErrorFormat,
+  toOpenAIError,
+  wrapErrorResponses
+};
@@ -0,0 +1,91 @@
+// 上游供应商：每个API key属于一个供应商（provider_id为空表示默认的硅基流动）
+// 请求按key所属供应商的基础URL和认证方式转发，余额查询由供应商的余额适配器决定
+const db = require('../db');
+
+const { DEFAULT_PROVIDER_ID } = db;
+
+// 认证方式：API key放在哪个请求头中
+const AUTH_STYLES = {
+  bearer: 'Authorization: Bearer <key>',
+  'x-api-key': 'x-api-key: <key>',
+  'api-key': 'api-key: <key>'
+};
+
+// 余额查询适配器
+const BALANCE_ADAPTERS = {
+  siliconflow: '硅基流动（/user/info）',
+  none: '不支持余额查询'
+};
+
+// 供应商缓存：id -> provider（增删改后调用 loadProviders 刷新）
+let providers = null;
+
+async function loadProviders() {
+  const rows = await db.getProviders();
+  providers = new Map(rows.map(row => [row.id, row]));
+  return rows;
+}
+
+async function ensureProvidersLoaded() {
+  if (!providers) {
+    await loadProviders();
+  }
+}
+
+async function getProviders() {
+  await ensureProvidersLoaded();
+  return Array.from(providers.values());
+}
+
+async function getProviderById(id) {
+  await ensureProvidersLoaded();
+  return providers.get(id) || null;
+}
+
+// 同步读取缓存（调用前需保证已加载），用于选择key时判断供应商是否启用
+function getCachedProvider(providerId) {
+  if (!providers) return null;
+  return providers.get(providerId || DEFAULT_PROVIDER_ID) || null;
+}
+
+// 获取key所属的供应商，key指向的供应商不存在时返回null
+async function getProviderForKey(keyInfo) {
+  await ensureProvidersLoaded();
+  return getCachedProvider(keyInfo && keyInfo.provider_id);
+}
+
+function isProviderEnabled(provider) {
+  return !!provider && provider.enabled === 1;
+}
+
+// 拼接上游地址：基础URL + 接口路径（如 /chat/completions）
+function buildProviderUrl(provider, path) {
+  return `${provider.base_url.replace(/\/+$/, '')}${path}`;
+}
+
+// 按供应商的认证方式构造请求头
+function buildAuthHeaders(provider, apiKey) {
+  switch (provider && provider.auth_style) {
+    case 'x-api-key':
+      return { 'x-api-key': apiKey };
+    case 'api-key':
+      return { 'api-key': apiKey };
+    default:
+      return { 'Authorization': `Bearer ${apiKey}` };
+  }
+}
+
+module.exports = {
+  DEFAULT_PROVIDER_ID,
+  AUTH_STYLES,
+  BALANCE_ADAPTERS,
+  loadProviders,
+  ensureProvidersLoaded,
+  getProviders,
+  getProviderById,
+  getCachedProvider,
+  getProviderForKey,
+  isProviderEnabled,
+  buildProviderUrl,
+  buildAuthHeaders
+};
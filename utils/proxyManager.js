@@ -103,6 +103,7 @@ function createProxyAgent(proxyConfig) {
 }
 
 // 尝试使用代理发送请求
+// data 可以是函数，每次尝试时调用以生成新的请求体（文件流只能读取一次）
 async function tryProxyRequest(axiosConfig, url, data) {
   const axios = require('axios');
   const enabled = await isProxyEnabled();
@@ -123,7 +124,12 @@ async function tryProxyRequest(axiosConfig, url, data) {
       };
       try {
         const attemptStart = Date.now();
-        const response = await axios.post(url, data, testConfig);
+        const response = await axios.request({
+          ...testConfig,
+          method: testConfig.method || 'post',
+          url,
+          data: typeof data === 'function' ? data() : data
+        });
         const durationMs = Date.now() - attemptStart;
         return { success: true, response, proxy: activeProxy, durationMs };
       } catch (error) {
@@ -148,7 +154,12 @@ async function tryProxyRequest(axiosConfig, url, data) {
 
     try {
       const attemptStart = Date.now();
-      const response = await axios.post(url, data, testConfig);
+      const response = await axios.request({
+        ...testConfig,
+        method: testConfig.method || 'post',
+        url,
+        data: typeof data === 'function' ? data() : data
+      });
       const durationMs = Date.now() - attemptStart;
       // 成功，设置这个代理为激活状态
       await setActiveProxy(proxy.id);
@@ -0,0 +1,141 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+
+// 上传请求体上限（MB，默认与 body-parser 一致为100MB）：请求体需要完整写入临时文件后才开始转发
+const MAX_SPOOL_BYTES = Math.max(1, parseInt(process.env.UPLOAD_MAX_MB, 10) || 100) * 1024 * 1024;
+// 只在请求体开头解析multipart文本字段（model等字段通常位于文件之前）
+const SNIFF_LIMIT = 64 * 1024;
+
+function getMultipartBoundary(contentType) {
+  if (!contentType) return null;
+  const match = contentType.match(/boundary=(?:"([^"]+)"|([^;]+))/i);
+  return match ? (match[1] || match[2]).trim() : null;
+}
+
+// 从请求体开头解析multipart字段（只解析完整的部分）
+// 返回 { fields: { name: value }, files: [{ field, filename, content_type }] }
+function parseMultipartHead(buffer, boundary) {
+  const fields = {};
+  const files = [];
+  if (!buffer || !boundary) return { fields, files };
+
+  const text = buffer.toString('latin1');
+  const parts = text.split(`--${boundary}`);
+  // 第一段是前导内容；最后一段可能不完整
+  for (let i = 1; i < parts.length; i++) {
+    const part = parts[i];
+    if (part.startsWith('--')) break; // 结束标记
+    const headerEnd = part.indexOf('\r\n\r\n');
+    if (headerEnd === -1) break;
+
+    const headers = part.substring(0, headerEnd);
+    const nameMatch = headers.match(/name="([^"]*)"/i);
+    if (!nameMatch) continue;
+    const filenameMatch = headers.match(/filename="([^"]*)"/i);
+
+    if (filenameMatch) {
+      const typeMatch = headers.match(/Content-Type:\s*([^\r\n]+)/i);
+      files.push({
+        field: nameMatch[1],
+        filename: Buffer.from(filenameMatch[1], 'latin1').toString('utf8'),
+        content_type: typeMatch ? typeMatch[1].trim() : null
+      });
+      continue;
+    }
+
+    // 最后一段若没有后续分隔符，说明内容被截断，不解析
+    if (i === parts.length - 1) break;
+    const value = part.substring(headerEnd + 4).replace(/\r\n$/, '');
+    fields[nameMatch[1]] = Buffer.from(value, 'latin1').toString('utf8');
+  }
+
+  return { fields, files };
+}
+
+function createTooLargeError() {
+  const error = new Error('request entity too large');
+  error.type = 'entity.too.large';
+  error.status = 413;
+  error.limit = MAX_SPOOL_BYTES;
+  return error;
+}
+
+// 将原始请求体写入临时文件，避免在内存中缓冲整个上传文件
+// 写入临时文件后每次重试都可以重新读取，从而支持API key切换；
+// 代价是上传完成前不会开始转发，因此用 UPLOAD_MAX_MB 限制临时文件大小
+function spoolRequestBody(req) {
+  return new Promise((resolve, reject) => {
+    const declaredLength = parseInt(req.headers['content-length'], 10);
+    if (declaredLength > MAX_SPOOL_BYTES) {
+      req.resume();
+      reject(createTooLargeError());
+      return;
+    }
+
+    const filePath = path.join(os.tmpdir(), `sfproxy-upload-${Date.now()}-${crypto.randomBytes(6).toString('hex')}`);
+    const output = fs.createWriteStream(filePath);
+    const headChunks = [];
+    let headLength = 0;
+    let size = 0;
+    let settled = false;
+
+    const cleanup = () => {
+      fs.unlink(filePath, () => {});
+    };
+
+    const fail = (error) => {
+      if (settled) return;
+      settled = true;
+      req.unpipe(output);
+      output.destroy();
+      cleanup();
+      reject(error);
+    };
+
+    req.on('data', (chunk) => {
+      size += chunk.length;
+      if (size > MAX_SPOOL_BYTES) {
+        fail(createTooLargeError());
+        req.destroy();
+        return;
+      }
+      if (headLength < SNIFF_LIMIT) {
+        headChunks.push(chunk);
+        headLength += chunk.length;
+      }
+    });
+
+    req.on('aborted', () => {
+      const error = new Error('request aborted');
+      error.type = 'request.aborted';
+      fail(error);
+    });
+    req.on('error', fail);
+    output.on('error', fail);
+
+    output.on('finish', () => {
+      if (settled) return;
+      settled = true;
+      const contentType = req.headers['content-type'] || 'application/octet-stream';
+      const { fields, files } = parseMultipartHead(Buffer.concat(headChunks), getMultipartBoundary(contentType));
+      resolve({
+        filePath,
+        size,
+        contentType,
+        fields,
+        files,
+        createReadStream: () => fs.createReadStream(filePath),
+        cleanup
+      });
+    });
+
+    req.pipe(output);
+  });
+}
+
+module.exports = {
+  spoolRequestBody,
+  getMultipartBoundary
+};
@@ -0,0 +1,475 @@
+const { Transform } = require('stream');
+
+// OpenAI Responses API 兼容层
+// 请求：Responses -> Chat Completions；响应：Chat Completions（JSON/SSE）-> Responses
+
+function generateId(prefix) {
+  return `${prefix}_${Date.now().toString(36)}${Math.random().toString(36).slice(2, 14)}`;
+}
+
+function contentToText(content) {
+  if (typeof content === 'string') return content;
+  if (!Array.isArray(content)) return '';
+  return content
+    .filter(part => part && (part.type === 'input_text' || part.type === 'output_text' || part.type === 'text'))
+    .map(part => part.text || '')
+    .join('\n');
+}
+
+// Responses内容块 -> Chat内容（只有文本时合并为字符串）
+function convertContent(content) {
+  if (typeof content === 'string') return content;
+  if (!Array.isArray(content)) return '';
+
+  const parts = [];
+  for (const part of content) {
+    if (!part) continue;
+    if (part.type === 'input_text' || part.type === 'output_text' || part.type === 'text') {
+      parts.push({ type: 'text', text: part.text || '' });
+    } else if (part.type === 'input_image') {
+      const url = typeof part.image_url === 'string' ? part.image_url : (part.image_url && part.image_url.url);
+      if (url) {
+        parts.push({ type: 'image_url', image_url: { url, detail: part.detail || 'auto' } });
+      }
+    }
+  }
+
+  if (parts.every(part => part.type === 'text')) {
+    return parts.map(part => part.text).join('\n');
+  }
+  return parts;
+}
+
+// input 数组 -> Chat messages
+// 连续的 function_call 合并为一条带 tool_calls 的assistant消息
+function convertInputItems(items) {
+  const messages = [];
+  let pendingToolCalls = null;
+
+  const flushToolCalls = () => {
+    if (pendingToolCalls) {
+      messages.push({ role: 'assistant', content: null, tool_calls: pendingToolCalls });
+      pendingToolCalls = null;
+    }
+  };
+
+  for (const item of items) {
+    if (!item) continue;
+
+    if (item.type === 'function_call') {
+      if (!pendingToolCalls) pendingToolCalls = [];
+      pendingToolCalls.push({
+        id: item.call_id || item.id,
+        type: 'function',
+        function: { name: item.name, arguments: item.arguments || '{}' }
+      });
+      continue;
+    }
+
+    flushToolCalls();
+
+    if (item.type === 'function_call_output') {
+      messages.push({
+        role: 'tool',
+        tool_call_id: item.call_id,
+        content: typeof item.output === 'string' ? item.output : JSON.stringify(item.output)
+      });
+      continue;
+    }
+
+    // message 类型（type 可省略）
+    if (item.role) {
+      const role = item.role === 'developer' ? 'system' : item.role;
+      messages.push({
+        role,
+        content: role === 'user' ? convertContent(item.content) : contentToText(item.content)
+      });
+    }
+    // 其余类型（如 reasoning）上游不支持，忽略
+  }
+
+  flushToolCalls();
+  return messages;
+}
+
+function convertToolChoice(toolChoice) {
+  if (!toolChoice) return undefined;
+  if (typeof toolChoice === 'string') return toolChoice;
+  if (toolChoice.type === 'function' && toolChoice.name) {
+    return { type: 'function', function: { name: toolChoice.name } };
+  }
+  return undefined;
+}
+
+function convertTextFormat(text) {
+  const format = text && text.format;
+  if (!format) return undefined;
+  if (format.type === 'json_object') {
+    return { type: 'json_object' };
+  }
+  if (format.type === 'json_schema') {
+    return {
+      type: 'json_schema',
+      json_schema: {
+        name: format.name,
+        schema: format.schema,
+        strict: format.strict
+      }
+    };
+  }
+  return undefined;
+}
+
+// Responses 请求 -> Chat Completions 请求
+function toChatCompletionsRequest(body) {
+  if (!body || typeof body !== 'object') {
+    throw new Error('请求体必须是JSON对象');
+  }
+  if (!body.model) {
+    throw new Error('缺少model参数');
+  }
+  if (body.previous_response_id) {
+    throw new Error('不支持previous_response_id，请在input中携带完整的对话历史');
+  }
+  if (typeof body.input !== 'string' && !Array.isArray(body.input)) {
+    throw new Error('input必须是字符串或数组');
+  }
+
+  const messages = [];
+  if (body.instructions) {
+    messages.push({ role: 'system', content: body.instructions });
+  }
+  if (typeof body.input === 'string') {
+    messages.push({ role: 'user', content: body.input });
+  } else {
+    messages.push(...convertInputItems(body.input));
+  }
+
+  const payload = {
+    model: body.model,
+    messages,
+    stream: body.stream === true
+  };
+  if (body.max_output_tokens !== undefined) payload.max_tokens = body.max_output_tokens;
+  if (body.temperature !== undefined) payload.temperature = body.temperature;
+  if (body.top_p !== undefined) payload.top_p = body.top_p;
+
+  // 只转换 function 工具，内置工具（web_search等）上游不支持
+  const tools = Array.isArray(body.tools) ? body.tools.filter(tool => tool && tool.type === 'function') : [];
+  if (tools.length > 0) {
+    payload.tools = tools.map(tool => ({
+      type: 'function',
+      function: {
+        name: tool.name,
+        description: tool.description,
+        parameters: tool.parameters || { type: 'object', properties: {} }
+      }
+    }));
+    const toolChoice = convertToolChoice(body.tool_choice);
+    if (toolChoice) payload.tool_choice = toolChoice;
+    if (body.parallel_tool_calls !== undefined) payload.parallel_tool_calls = body.parallel_tool_calls;
+  }
+
+  const responseFormat = convertTextFormat(body.text);
+  if (responseFormat) payload.response_format = responseFormat;
+
+  if (payload.stream) {
+    // 让上游在最后一个chunk中返回token用量
+    payload.stream_options = { include_usage: true };
+  }
+  return payload;
+}
+
+function convertUsage(usage) {
+  const input = (usage && usage.prompt_tokens) || 0;
+  const output = (usage && usage.completion_tokens) || 0;
+  return {
+    input_tokens: input,
+    output_tokens: output,
+    total_tokens: (usage && usage.total_tokens) || input + output
+  };
+}
+
+// 生成 response 对象（JSON响应和 response.created/completed 事件共用）
+function buildResponseObject(request, fields) {
+  return {
+    id: fields.id,
+    object: 'response',
+    created_at: fields.createdAt,
+    status: fields.status,
+    model: fields.model || request.model,
+    output: fields.output || [],
+    incomplete_details: fields.incompleteDetails || null,
+    instructions: request.instructions || null,
+    max_output_tokens: request.max_output_tokens !== undefined ? request.max_output_tokens : null,
+    temperature: request.temperature !== undefined ? request.temperature : null,
+    top_p: request.top_p !== undefined ? request.top_p : null,
+    tools: Array.isArray(request.tools) ? request.tools : [],
+    tool_choice: request.tool_choice || 'auto',
+    parallel_tool_calls: request.parallel_tool_calls !== false,
+    text: request.text || { format: { type: 'text' } },
+    previous_response_id: null,
+    metadata: request.metadata || {},
+    usage: fields.usage || null,
+    error: null
+  };
+}
+
+function getIncompleteDetails(finishReason) {
+  if (finishReason === 'length') return { reason: 'max_output_tokens' };
+  if (finishReason === 'content_filter') return { reason: 'content_filter' };
+  return null;
+}
+
+function buildMessageItem(id, text, status) {
+  return {
+    type: 'message',
+    id,
+    status,
+    role: 'assistant',
+    content: [{ type: 'output_text', text, annotations: [] }]
+  };
+}
+
+// Chat Completions 响应 -> Responses 响应
+function fromChatCompletionResponse(data, request) {
+  const choice = (data && Array.isArray(data.choices) && data.choices[0]) || {};
+  const message = choice.message || {};
+  const output = [];
+
+  const text = typeof message.content === 'string' ? message.content : contentToText(message.content);
+  if (text) {
+    output.push(buildMessageItem(generateId('msg'), text, 'completed'));
+  }
+  if (Array.isArray(message.tool_calls)) {
+    for (const toolCall of message.tool_calls) {
+      output.push({
+        type: 'function_call',
+        id: generateId('fc'),
+        call_id: toolCall.id || generateId('call'),
+        name: toolCall.function ? toolCall.function.name : '',
+        arguments: (toolCall.function && toolCall.function.arguments) || '{}',
+        status: 'completed'
+      });
+    }
+  }
+
+  const incompleteDetails = getIncompleteDetails(choice.finish_reason);
+  const response = buildResponseObject(request, {
+    id: data && data.id ? `resp_${data.id}` : generateId('resp'),
+    createdAt: (data && data.created) || Math.floor(Date.now() / 1000),
+    status: incompleteDetails ? 'incomplete' : 'completed',
+    model: data && data.model,
+    output,
+    incompleteDetails,
+    usage: convertUsage(data && data.usage)
+  });
+  response.output_text = text || '';
+  return response;
+}
+
+// Chat Completions SSE -> Responses SSE（response.output_text.delta / response.completed 等事件）
+function createResponsesStreamTransform(request) {
+  let buffer = '';
+  let started = false;
+  let finished = false;
+  let sequenceNumber = 0;
+  let responseId = null;
+  let createdAt = Math.floor(Date.now() / 1000);
+  let model = request.model;
+  let finishReason = null;
+  let usage = null;
+  const output = [];
+  let textItem = null; // { index, id, text }
+  const toolItems = new Map(); // 上游tool_call index -> { index, item }
+
+  const transform = new Transform({
+    transform(chunk, encoding, callback) {
+      buffer += chunk.toString('utf8');
+      const lines = buffer.split('\n');
+      buffer = lines.pop();
+      for (const line of lines) {
+        handleLine(this, line.trim());
+      }
+      callback();
+    },
+    flush(callback) {
+      if (buffer.trim()) {
+        handleLine(this, buffer.trim());
+      }
+      finish(this);
+      callback();
+    }
+  });
+
+  function emit(stream, type, data) {
+    const event = { type, sequence_number: sequenceNumber++, ...data };
+    stream.push(`event: ${type}\ndata: ${JSON.stringify(event)}\n\n`);
+  }
+
+  function snapshot(status, extra = {}) {
+    return buildResponseObject(request, {
+      id: responseId,
+      createdAt,
+      status,
+      model,
+      output: output.filter(Boolean),
+      ...extra
+    });
+  }
+
+  function ensureStarted(stream, chunk) {
+    if (started) return;
+    started = true;
+    responseId = chunk && chunk.id ? `resp_${chunk.id}` : generateId('resp');
+    if (chunk && chunk.created) createdAt = chunk.created;
+    if (chunk && chunk.model) model = chunk.model;
+    emit(stream, 'response.created', { response: snapshot('in_progress') });
+    emit(stream, 'response.in_progress', { response: snapshot('in_progress') });
+  }
+
+  function openTextItem(stream) {
+    const id = generateId('msg');
+    textItem = { index: output.length, id, text: '' };
+    output.push(null); // 完成后再写入
+    emit(stream, 'response.output_item.added', {
+      output_index: textItem.index,
+      item: { type: 'message', id, status: 'in_progress', role: 'assistant', content: [] }
+    });
+    emit(stream, 'response.content_part.added', {
+      item_id: id,
+      output_index: textItem.index,
+      content_index: 0,
+      part: { type: 'output_text', text: '', annotations: [] }
+    });
+  }
+
+  function closeTextItem(stream) {
+    if (!textItem || output[textItem.index]) return;
+    const { index, id, text } = textItem;
+    emit(stream, 'response.output_text.done', { item_id: id, output_index: index, content_index: 0, text });
+    emit(stream, 'response.content_part.done', {
+      item_id: id,
+      output_index: index,
+      content_index: 0,
+      part: { type: 'output_text', text, annotations: [] }
+    });
+    output[index] = buildMessageItem(id, text, 'completed');
+    emit(stream, 'response.output_item.done', { output_index: index, item: output[index] });
+  }
+
+  function closeToolItem(stream, toolItem) {
+    if (toolItem.done) return;
+    toolItem.done = true;
+    const { index, item } = toolItem;
+    item.status = 'completed';
+    emit(stream, 'response.function_call_arguments.done', { item_id: item.id, output_index: index, arguments: item.arguments });
+    output[index] = item;
+    emit(stream, 'response.output_item.done', { output_index: index, item });
+  }
+
+  function handleLine(stream, line) {
+    if (!line.startsWith('data:')) return;
+    const data = line.substring(5).trim();
+    if (!data) return;
+    if (data === '[DONE]') {
+      finish(stream);
+      return;
+    }
+
+    let chunk;
+    try {
+      chunk = JSON.parse(data);
+    } catch (error) {
+      return;
+    }
+
+    ensureStarted(stream, chunk);
+    if (chunk.usage) {
+      usage = convertUsage(chunk.usage);
+    }
+
+    const choice = Array.isArray(chunk.choices) ? chunk.choices[0] : null;
+    if (!choice) return;
+    const delta = choice.delta || {};
+
+    if (delta.content) {
+      if (!textItem || output[textItem.index]) openTextItem(stream);
+      textItem.text += delta.content;
+      emit(stream, 'response.output_text.delta', {
+        item_id: textItem.id,
+        output_index: textItem.index,
+        content_index: 0,
+        delta: delta.content
+      });
+    }
+
+    if (Array.isArray(delta.tool_calls)) {
+      for (const toolCall of delta.tool_calls) {
+        const toolIndex = toolCall.index !== undefined ? toolCall.index : 0;
+        let toolItem = toolItems.get(toolIndex);
+        if (!toolItem) {
+          closeTextItem(stream);
+          toolItem = {
+            index: output.length,
+            done: false,
+            item: {
+              type: 'function_call',
+              id: generateId('fc'),
+              call_id: toolCall.id || generateId('call'),
+              name: toolCall.function ? toolCall.function.name : '',
+              arguments: '',
+              status: 'in_progress'
+            }
+          };
+          toolItems.set(toolIndex, toolItem);
+          output.push(null);
+          emit(stream, 'response.output_item.added', {
+            output_index: toolItem.index,
+            item: { ...toolItem.item }
+          });
+        }
+        const argumentsDelta = toolCall.function && toolCall.function.arguments;
+        if (argumentsDelta) {
+          toolItem.item.arguments += argumentsDelta;
+          emit(stream, 'response.function_call_arguments.delta', {
+            item_id: toolItem.item.id,
+            output_index: toolItem.index,
+            delta: argumentsDelta
+          });
+        }
+      }
+    }
+
+    if (choice.finish_reason) {
+      finishReason = choice.finish_reason;
+    }
+  }
+
+  function finish(stream) {
+    if (finished) return;
+    finished = true;
+    ensureStarted(stream, null);
+    closeTextItem(stream);
+    for (const toolItem of toolItems.values()) {
+      closeToolItem(stream, toolItem);
+    }
+
+    const incompleteDetails = getIncompleteDetails(finishReason);
+    const eventType = incompleteDetails ? 'response.incomplete' : 'response.completed';
+    emit(stream, eventType, {
+      response: snapshot(incompleteDetails ? 'incomplete' : 'completed', {
+        incompleteDetails,
+        usage: usage || convertUsage(null)
+      })
+    });
+  }
+
+  return transform;
+}
+
+module.exports = {
+  toChatCompletionsRequest,
+  fromChatCompletionResponse,
+  createResponsesStreamTransform
+};